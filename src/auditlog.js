@@ -0,0 +1,22 @@
+const nodeCrypto = require('crypto')
+
+// Append-only log of admin API calls: who called what, on which user. The details may include
+// NIH usernames and other identifying values, so they are encrypted like profile values.
+module.exports = function(crypto, storage) {
+
+  const detailsAad = ['ADMIN_AUDIT_LOG']
+
+  async function record({actor, action, targetUserId, details = {}}) {
+    const {storedValue} = crypto.encryptValue(detailsAad, JSON.stringify(details))
+    await storage.appendAuditEvent({
+      EVENT_TIME: Date.now(),
+      EVENT_ID: nodeCrypto.randomBytes(12).toString('hex'),
+      ACTOR: actor,
+      ACTION: action,
+      TARGET_USER_ID: targetUserId || null,
+      DETAILS: storedValue
+    })
+  }
+
+  return {record}
+}
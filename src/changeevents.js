@@ -0,0 +1,183 @@
+const _ = require('lodash/fp')
+const log = require('./log')
+const metrics = require('./metrics')
+const webhooks = require('./webhooks')
+
+// Delivers profile change events from the CHANGE_EVENT outbox to HTTP subscribers. encryptedkvdb
+// appends an event, and queues a delivery to each interested subscriber, in the same transaction
+// as every write, so no change is missed. Each event is posted as:
+//   {id, userId, version, createdAt, changes: {<key>: <new value, or null if deleted>}}
+// where `version` is the user's profile version after the change. `changes` only has the keys
+// the subscriber asked for.
+//
+// Delivery is at least once and in order per user: a user's next event isn't sent until the
+// previous one has been accepted, and failures are retried with backoff. A delivery that has used
+// up its attempts, or whose event can't be decrypted, is marked failed (NEXT_ATTEMPT_AT is null)
+// and kept with its last error, and the user's later events go ahead. Consumers should ignore
+// events with a version they have already seen. Requests are signed like webhooks
+// (see ./webhooks), with the subscriber's secret.
+//
+// `subscribers` is the environment's `changeSubscribers` config: [{name, url, secret, keys}].
+
+// With the backoff below, about a day of retries.
+const maxAttempts = 30
+const baseRetrySeconds = 30
+const maxRetrySeconds = 60 * 60
+
+function retryDelayMs(attempts) {
+  return 1000 * Math.min(baseRetrySeconds * Math.pow(2, attempts - 1), maxRetrySeconds)
+}
+
+// Change events are encrypted bound to the user ID.
+function eventAad(userId) {
+  return [userId, 'CHANGE_EVENT']
+}
+
+// The subscribers interested in a change to any of `changedKeys`.
+function subscribersFor(subscribers, changedKeys) {
+  return _.filter(s => !s.keys || _.some(k => _.includes(k)(s.keys))(changedKeys))(subscribers)
+}
+
+module.exports = function(crypto, storage, subscribers = []) {
+
+  function decryptChanges(event) {
+    return JSON.parse(crypto.decryptValue(eventAad(event.USER_ID), undefined, event.CHANGES).value)
+  }
+
+  function toPayload(subscriber, delivery) {
+    const changes = decryptChanges(delivery)
+    return {
+      id: delivery.EVENT_ID,
+      userId: delivery.USER_ID,
+      version: delivery.USER_SEQ,
+      createdAt: new Date(parseInt(delivery.CREATED_AT)).toISOString(),
+      changes: subscriber.keys ? _.pick(subscriber.keys)(changes) : changes
+    }
+  }
+
+  async function attempt(subscriber, delivery, now) {
+    let body
+    try {
+      body = JSON.stringify(toPayload(subscriber, delivery))
+    } catch (e) {
+      log.error('failed to decrypt change event', {eventId: delivery.EVENT_ID, err: e})
+      metrics.decryptFailures.inc({table: 'CHANGE_EVENT'})
+      return {giveUp: true, error: `failed to decrypt event: ${e.message}`}
+    }
+    try {
+      const statusCode = await webhooks.post(subscriber.url, {
+        'X-Profile-Event-Id': delivery.EVENT_ID,
+        'X-Profile-Signature': webhooks.sign(subscriber.secret, Math.floor(now / 1000), body)
+      }, body)
+      return statusCode >= 200 && statusCode < 300 ?
+        {delivered: true} : {error: `subscriber returned status ${statusCode}`}
+    } catch (e) {
+      return {error: e.message}
+    }
+  }
+
+  // Delivers up to `limit` due events to each subscriber. Users whose earliest pending event isn't
+  // due yet are skipped. Returns, per subscriber, {delivered, retrying, failed, waiting}: `failed`
+  // deliveries are not retried, and `waiting` counts events held back behind one that failed to
+  // deliver in this run.
+  async function dispatch({limit = 500, now = Date.now()} = {}) {
+    const report = {}
+    for (const subscriber of subscribers) {
+      const counts = {delivered: 0, retrying: 0, failed: 0, waiting: 0}
+      const blockedUserIds = new Set()
+      for (const delivery of await storage.getChangeDeliveries(subscriber.name, now, limit)) {
+        if (blockedUserIds.has(delivery.USER_ID)) {
+          counts.waiting++
+          continue
+        }
+        const attempts = delivery.ATTEMPTS + 1
+        const result = await attempt(subscriber, delivery, now)
+        if (result.delivered) {
+          counts.delivered++
+          await storage.deleteChangeDelivery(subscriber.name, delivery.USER_ID, delivery.USER_SEQ)
+        } else if (result.giveUp || attempts >= maxAttempts) {
+          counts.failed++
+          log.error('giving up on change event delivery', {
+            eventId: delivery.EVENT_ID, subscriber: subscriber.name, attempts, error: result.error
+          })
+          await storage.updateChangeDelivery(subscriber.name, delivery.USER_ID, delivery.USER_SEQ,
+            {ATTEMPTS: attempts, NEXT_ATTEMPT_AT: null, LAST_ERROR: result.error})
+        } else {
+          counts.retrying++
+          blockedUserIds.add(delivery.USER_ID)
+          log.warn('failed to deliver change event', {
+            eventId: delivery.EVENT_ID, subscriber: subscriber.name, attempts, error: result.error
+          })
+          await storage.updateChangeDelivery(subscriber.name, delivery.USER_ID, delivery.USER_SEQ, {
+            ATTEMPTS: attempts, NEXT_ATTEMPT_AT: now + retryDelayMs(attempts),
+            LAST_ERROR: result.error
+          })
+        }
+      }
+      report[subscriber.name] = counts
+    }
+    return report
+  }
+
+  // Queues every event created at or after `since` (ms since the epoch) that the named subscriber
+  // is interested in, e.g., to backfill a new consumer, a page at a time until `maxEvents` have
+  // been visited or there are no more. Events already pending aren't queued twice, and events
+  // that can't be decrypted are skipped. The returned report's cursor resumes an incomplete replay.
+  async function replay(subscriberName, opts = {}) {
+    const {since = 0, cursor, pageSize = 500, maxEvents = 5000} = opts
+    const subscriber = _.find({name: subscriberName})(subscribers)
+    if (!subscriber) { throw new Error(`unknown subscriber: ${subscriberName}`) }
+    const report = {cursor, done: false, scanned: 0, queued: 0, failures: []}
+    while (report.scanned < maxEvents) {
+      const events = await storage.scanChangeEvents(
+        report.cursor, since, Math.min(pageSize, maxEvents - report.scanned))
+      if (events.length === 0) {
+        report.done = true
+        break
+      }
+      for (const event of events) {
+        let changedKeys
+        try {
+          changedKeys = _.keys(decryptChanges(event))
+        } catch (e) {
+          report.failures.push({userId: event.USER_ID, seq: event.USER_SEQ, message: e.message})
+          changedKeys = []
+        }
+        if (subscribersFor([subscriber], changedKeys).length > 0) {
+          report.queued += await storage.insertChangeDelivery({
+            SUBSCRIBER: subscriberName,
+            USER_ID: event.USER_ID,
+            USER_SEQ: event.USER_SEQ,
+            CREATED_AT: event.CREATED_AT
+          })
+        }
+        report.scanned++
+        report.cursor = {userId: event.USER_ID, seq: event.USER_SEQ}
+      }
+    }
+    return report
+  }
+
+  // The user's change events, oldest first: [{version, createdAt, changes}], with `decryptError`
+  // instead of `changes` for events that can't be decrypted.
+  async function history(userId) {
+    const events = await storage.getChangeEvents(userId)
+    return _.map(event => {
+      const entry = {
+        version: event.USER_SEQ, createdAt: new Date(parseInt(event.CREATED_AT)).toISOString()
+      }
+      try {
+        return {...entry, changes: decryptChanges(event)}
+      } catch (e) {
+        log.error('failed to decrypt change event', {eventId: event.EVENT_ID, err: e})
+        metrics.decryptFailures.inc({table: 'CHANGE_EVENT'})
+        return {...entry, decryptError: e.message}
+      }
+    })(events)
+  }
+
+  return {dispatch, replay, history}
+}
+
+module.exports.eventAad = eventAad
+module.exports.subscribersFor = subscribersFor
@@ -0,0 +1,14 @@
+// Loads the configuration the server would use (see config.js) and exits with an error if it's
+// invalid, e.g., an environment is missing its blindIndexKeyBase64. cloudbuild.yaml runs it
+// before deploying:
+//   npm run check-config
+const configLoader = require('./config')
+
+configLoader.load().then((config) => {
+  const envNames = Object.keys(config.environments)
+    .filter(n => config.environments[n].enabled !== false)
+  console.log(`configuration is valid for environments: ${envNames.join(', ')}`)
+}, (e) => {
+  console.error(e.message)
+  process.exitCode = 1
+})
@@ -0,0 +1,323 @@
+const fs = require('fs').promises
+const _ = require('lodash/fp')
+const makeCrypto = require('./crypto')
+const schema = require('./schema')
+const u = require('./utils')
+
+// Configuration is merged from these layers, later layers winning:
+// 1. `defaults` below.
+// 2. The JSON object at `configGcsUrl` (holds the secrets). Set it to "" to skip GCS.
+// 3. A local JSON file: $PROFILE_CONFIG_FILE, or ./config.json if it exists.
+// 4. Environment variables named PROFILE_CONFIG__<path>, with `__` separating path segments,
+//    e.g., PROFILE_CONFIG__dev__storage__type=memory. Values are parsed as JSON when possible.
+// The merged result is validated once and then cached for the life of the process; call
+// `refresh` to reload it.
+//
+// `environments` is the registry of environments the service serves (dev, prod, staging, local,
+// ...). Each has its own path prefix, keys, storage and issuer settings, and gets its own router.
+// The secrets file predates the registry and keeps the dev and prod settings at the top level;
+// those are folded into `environments` when each layer is read.
+
+const defaults = {
+  configGcsUrl: 'gs://broad-shibboleth-prod.appspot.com/secrets/secrets.20200310a.json',
+  // Checks applied to Google bearer tokens. Empty lists disable the check, except that ID tokens
+  // are refused unless `audiences` lists the OAuth client IDs they may be issued to.
+  googleAuth: {
+    audiences: [],
+    issuers: ['https://accounts.google.com', 'accounts.google.com'],
+    allowedEmailDomains: [],
+    tokenInfoCacheSeconds: 300,
+    jwksUrl: 'https://www.googleapis.com/oauth2/v3/certs'
+  },
+  // How long each /readyz dependency check may take (see health.js).
+  readinessCheckTimeoutMs: 2000,
+  environments: {
+    dev: {
+      pathPrefix: '/dev',
+      cloudSqlInstance: 'broad-dsde-dev:us-central1:thurloe-cloudsql-dev201-9e45a2fc870e72f2',
+      publicKeyUrl: 'https://broad-shibboleth-prod.appspot.com/dev/public-key.pem',
+      validateResponses: true
+    },
+    prod: {
+      pathPrefix: '',
+      cloudSqlInstance: 'broad-dsde-prod:us-central1:thurloe-cloudsql-prod201-905168db8ab5e528',
+      publicKeyUrl: 'https://broad-shibboleth-prod.appspot.com/public-key.pem'
+    }
+  }
+}
+
+const legacyEnvironmentNames = ['dev', 'prod']
+
+const envVarPrefix = 'PROFILE_CONFIG__'
+const defaultLocalFile = 'config.json'
+
+const rateLimitRuleSchema = {
+  type: ['object', 'null'],
+  required: ['capacity', 'refillPerSecond'],
+  properties: {
+    capacity: {type: 'integer', minimum: 1},
+    refillPerSecond: {type: 'number', exclusiveMinimum: 0}
+  }
+}
+
+const environmentSchema = {
+  type: 'object',
+  properties: {
+    pathPrefix: {type: 'string', pattern: '^(/[\\w.-]+)*$'},
+    enabled: {type: 'boolean'},
+    encryptionKeyBase64: {type: 'string', minLength: 1},
+    encryptionKeys: {type: 'object', additionalProperties: {type: 'string', minLength: 1}},
+    activeEncryptionKeyId: {type: 'string', pattern: '^[\\w.-]+$'},
+    blindIndexKeyBase64: {type: 'string', minLength: 1},
+    dbPassword: {type: 'string'},
+    cloudSqlInstance: {type: 'string', minLength: 1},
+    storage: {
+      type: 'object',
+      required: ['type'],
+      properties: {type: {enum: ['memory', 'sqlite', 'mysql']}}
+    },
+    publicKeyUrl: {type: 'string', pattern: '^https?://'},
+    shibboleth: {
+      type: 'object',
+      properties: {
+        issuer: {type: 'string', minLength: 1},
+        audience: {type: 'string', minLength: 1},
+        clockToleranceSeconds: {type: 'integer', minimum: 0},
+        maxTokenAgeSeconds: {type: 'integer', minimum: 1},
+        requiredClaims: {type: 'array', items: {type: 'string'}},
+        keyFile: {type: 'string', minLength: 1},
+        jwksUrl: {type: 'string', pattern: '^https?://'},
+        keyCacheSeconds: {type: 'integer', minimum: 1}
+      }
+    },
+    userWritableKeys: {type: 'array', items: {type: 'string'}},
+    // Fail responses that don't match the API contract (see openapi.js) with a 500.
+    validateResponses: {type: 'boolean'},
+    // What linking an eRA Commons username that is linked to another account does: `reject` the
+    // link, or `transfer` it, unlinking the other account.
+    nihLinkConflictPolicy: {enum: ['reject', 'transfer']},
+    // How long before a link expires its user is warned (see linkexpiry.js).
+    linkExpiryWarningSeconds: {type: 'integer', minimum: 0},
+    // How long after a link expires the sweep stops checking it.
+    linkExpiryLookbackSeconds: {type: 'integer', minimum: 0},
+    webhooks: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['url', 'secret'],
+        properties: {
+          url: {type: 'string', pattern: '^https?://'},
+          secret: {type: 'string', minLength: 16},
+          events: {type: 'array', items: {type: 'string'}}
+        }
+      }
+    },
+    // Consumers of profile change events (see changeevents.js). `keys` limits the keys sent.
+    changeSubscribers: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['name', 'url', 'secret'],
+        properties: {
+          name: {type: 'string', pattern: '^[\\w.-]{1,64}$'},
+          url: {type: 'string', pattern: '^https?://'},
+          secret: {type: 'string', minLength: 16},
+          keys: {type: 'array', items: {type: 'string'}}
+        }
+      }
+    },
+    // Token-bucket rate limits (see ratelimit.js). `routes` overrides the default rules by route
+    // name; a null rule turns that limit off. `store` is "memory" (per instance) or "storage".
+    rateLimits: {
+      type: 'object',
+      properties: {
+        enabled: {type: 'boolean'},
+        store: {enum: ['memory', 'storage']},
+        routes: {
+          type: 'object',
+          additionalProperties: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {perUser: rateLimitRuleSchema, perIp: rateLimitRuleSchema}
+          }
+        }
+      }
+    }
+  }
+}
+
+const configSchema = {
+  type: 'object',
+  required: ['environments'],
+  properties: {
+    configGcsUrl: {type: 'string', pattern: '^(gs://|$)'},
+    googleCloudProject: {type: 'string', minLength: 1},
+    googleAuth: {
+      type: 'object',
+      properties: {
+        audiences: {type: 'array', items: {type: 'string'}},
+        issuers: {type: 'array', items: {type: 'string'}},
+        allowedEmailDomains: {type: 'array', items: {type: 'string'}},
+        tokenInfoCacheSeconds: {type: 'integer', minimum: 0},
+        jwksUrl: {type: 'string', pattern: '^https?://'}
+      }
+    },
+    readinessCheckTimeoutMs: {type: 'integer', minimum: 1},
+    environments: {type: 'object', minProperties: 1, additionalProperties: environmentSchema}
+  }
+}
+
+class ConfigError extends Error {
+  constructor(message, errors = []) {
+    super(message)
+    this.errors = errors
+  }
+}
+
+// Moves top-level dev and prod sections into `environments`.
+function foldLegacyEnvironments(layer) {
+  const legacy = _.pick(legacyEnvironmentNames)(layer)
+  if (_.isEmpty(legacy)) { return layer }
+  return {
+    ..._.omit(legacyEnvironmentNames)(layer),
+    environments: mergeLayers([legacy, layer.environments || {}])
+  }
+}
+
+// Arrays replace rather than merge index by index.
+const mergeLayers = _.reduce(_.mergeWith((a, b) => _.isArray(b) ? b : undefined))({})
+
+function parseEnvValue(s) {
+  try {
+    return JSON.parse(s)
+  } catch (e) {
+    return s
+  }
+}
+
+function fromEnvVars(env) {
+  return _.reduce((r, name) => {
+    const path = name.slice(envVarPrefix.length).split('__')
+    return _.set(path, parseEnvValue(env[name]), r)
+  })({})(_.filter(_.startsWith(envVarPrefix))(_.keys(env)))
+}
+
+async function fromLocalFile(env) {
+  const filename = env.PROFILE_CONFIG_FILE || defaultLocalFile
+  let contents
+  try {
+    contents = await fs.readFile(filename, {encoding: 'utf8'})
+  } catch (e) {
+    if (e.code === 'ENOENT' && !env.PROFILE_CONFIG_FILE) { return {} }
+    throw new ConfigError(`failed to read config file ${filename}: ${e.message}`)
+  }
+  try {
+    return JSON.parse(contents)
+  } catch (e) {
+    throw new ConfigError(`failed to parse config file ${filename}: ${e.message}`)
+  }
+}
+
+async function fetchAccessToken() {
+  try {
+    return (await fs.readFile('.access-token', {encoding: 'utf8'})).trim()
+  } catch (e) {
+    const res = await u.httpreq({
+      tls: false,
+      hostname: 'metadata',
+      path: '/computeMetadata/v1/instance/service-accounts/default/token',
+      headers: {'Metadata-Flavor': 'Google'}
+    }).resp
+    return JSON.parse((await u.slurpStream(res)).toString()).access_token
+  }
+}
+
+async function fromGcs(gsUrl) {
+  if (!gsUrl) { return {} }
+  const authorization = `Bearer ${await fetchAccessToken()}`
+  let data
+  try {
+    data = await u.getObjectData(authorization, gsUrl)
+  } catch (e) {
+    throw new ConfigError(`failed to fetch config from ${gsUrl}: ${e.message}`)
+  }
+  try {
+    return JSON.parse(data)
+  } catch (e) {
+    throw new ConfigError(`failed to parse config from ${gsUrl}: ${e.message}`)
+  }
+}
+
+// Checks that don't fit the schema: each environment needs keys, somewhere to store data and a
+// path prefix of its own.
+function checkEnvironments(config) {
+  const errors = []
+  const envNames = _.filter(n => config.environments[n].enabled !== false)(
+    _.keys(config.environments))
+  for (const envName of envNames) {
+    const envConfig = config.environments[envName]
+    const path = `/environments/${envName}`
+    if (envConfig.pathPrefix === undefined) {
+      errors.push({path: `${path}/pathPrefix`, message: 'is required'})
+    } else if (_.some(n => n < envName &&
+        config.environments[n].pathPrefix === envConfig.pathPrefix)(envNames)) {
+      errors.push({path: `${path}/pathPrefix`, message: 'is already used by another environment'})
+    }
+    if (!envConfig.encryptionKeyBase64 && _.isEmpty(envConfig.encryptionKeys)) {
+      errors.push(
+        {path: `${path}/encryptionKeyBase64`, message: 'or encryptionKeys is required'})
+    } else {
+      try {
+        makeCrypto(makeCrypto.keyringFromConfig(envConfig))
+      } catch (e) {
+        errors.push({path: `${path}/encryptionKeys`, message: e.message})
+      }
+    }
+    if (!envConfig.blindIndexKeyBase64) {
+      errors.push({path: `${path}/blindIndexKeyBase64`, message: 'is required'})
+    }
+    if (!envConfig.storage && envConfig.dbPassword === undefined) {
+      errors.push({path: `${path}/dbPassword`, message: 'or storage is required'})
+    }
+  }
+  return errors
+}
+
+async function load(env = process.env) {
+  const local = foldLegacyEnvironments(await fromLocalFile(env))
+  const overrides = foldLegacyEnvironments(fromEnvVars(env))
+  const {configGcsUrl} = mergeLayers([defaults, local, overrides])
+  const gcs = foldLegacyEnvironments(await fromGcs(configGcsUrl))
+  const config = mergeLayers([
+    defaults, {googleCloudProject: env.GOOGLE_CLOUD_PROJECT}, gcs, local, overrides
+  ])
+
+  const schemaErrors = schema.validate(configSchema, config)
+  const errors = schemaErrors.length > 0 ? schemaErrors : checkEnvironments(config)
+  if (errors.length > 0) {
+    throw new ConfigError(`invalid configuration: ${schema.formatErrors(errors)}`, errors)
+  }
+  return config
+}
+
+let cachedConfig = undefined
+
+// Returns the cached configuration, loading it on first use. A failed load isn't cached.
+function get() {
+  if (!cachedConfig) {
+    cachedConfig = load().catch((e) => {
+      cachedConfig = undefined
+      throw e
+    })
+  }
+  return cachedConfig
+}
+
+// Reloads the configuration. The previous configuration stays in place if the reload fails.
+async function refresh() {
+  const config = await load()
+  cachedConfig = Promise.resolve(config)
+  return config
+}
+
+module.exports = {get, refresh, load, ConfigError}
@@ -1,35 +1,147 @@
 const crypto = require('crypto')
 
-module.exports = function(key) {
+// Stored values are envelopes of the form `v3:<key ID>:<iv>:<auth tag>:<ciphertext>` (all but the
+// key ID base64), using AES-256-GCM with the caller's associated data (user ID and key) bound in,
+// so a ciphertext copied to another row fails to decrypt. The key ID names the keyring entry that
+// encrypted the value. Older formats are still readable using the keyring's legacy key:
+// - v2: `v2:<iv>:<auth tag>:<ciphertext>`, AES-256-GCM without a key ID.
+// - v1: no version prefix, AES-256-CBC with the IV kept in the separate IV column.
+// Values in an older format or under a non-active key are rewritten the next time they are
+// written, or by the re-encryption sweep.
+module.exports = function(keyring) {
 
-  const algorithm = 'aes-256-cbc'
+  const currentVersion = 3
+  const gcmAlgorithm = 'aes-256-gcm'
+  const gcmIvBytes = 12
+  const gcmTagBytes = 16
+  const legacyAlgorithm = 'aes-256-cbc'
+  const {activeKeyId, legacyKeyId, keys, blindIndexKey} = keyring
 
-  function createCipher(ivBase64) {
-    return crypto.createCipheriv(algorithm, key, Buffer.from(ivBase64, 'base64'))
+  if (!keys[activeKeyId]) { throw new Error(`active key is not in the keyring: ${activeKeyId}`) }
+
+  function getKey(keyId) {
+    const key = keys[keyId]
+    if (!key) { throw new Error(`unknown encryption key ID: ${keyId}`) }
+    return key
+  }
+
+  function aadBuffer(aad) {
+    return Buffer.from(JSON.stringify(aad), 'utf8')
+  }
+
+  function generateIvBase64() {
+    return crypto.randomBytes(gcmIvBytes).toString('base64')
   }
 
-  function cipherValueToBase64(ivBase64, value) {
-    const iv = ivBase64 || crypto.randomBytes(16).toString('base64')
-    const cipher = createCipher(ivBase64)
-    let ciphered = cipher.update(value, 'utf8', 'base64')
-    ciphered += cipher.final('base64')
-    return ciphered
+  function parseEnvelope(storedValue) {
+    const match = /^v(\d+):(.*)$/.exec(storedValue)
+    if (!match) { return {version: 1, body: storedValue} }
+    return {version: parseInt(match[1]), body: match[2]}
   }
 
-  function createDecipher(ivBase64) {
-    return crypto.createDecipheriv(algorithm, key, Buffer.from(ivBase64, 'base64'))
+  function encryptValue(aad, value) {
+    const ivBase64 = generateIvBase64()
+    const cipher = crypto.createCipheriv(
+      gcmAlgorithm, getKey(activeKeyId), Buffer.from(ivBase64, 'base64'))
+    cipher.setAAD(aadBuffer(aad))
+    const ciphered = Buffer.concat([cipher.update(value, 'utf8'), cipher.final()])
+    const tagBase64 = cipher.getAuthTag().toString('base64')
+    return {
+      ivBase64,
+      keyId: activeKeyId,
+      storedValue: [
+        `v${currentVersion}`, activeKeyId, ivBase64, tagBase64, ciphered.toString('base64')
+      ].join(':')
+    }
   }
 
-  function decipherValueFromBase64(ivBase64, cipheredValueBase64) {
-    const decipher = createDecipher(ivBase64)
+  function decryptCbc(keyId, ivBase64, cipheredValueBase64) {
+    const decipher =
+      crypto.createDecipheriv(legacyAlgorithm, getKey(keyId), Buffer.from(ivBase64, 'base64'))
     let deciphered = decipher.update(cipheredValueBase64, 'base64', 'utf8')
     deciphered += decipher.final('utf8')
     return deciphered
   }
 
-  function generateIvBase64() {
-    return crypto.randomBytes(16).toString('base64')
+  function decryptGcm(keyId, aad, ivBase64, tagBase64, cipheredBase64) {
+    if (cipheredBase64 === undefined) { throw new Error('malformed envelope') }
+    const tag = Buffer.from(tagBase64, 'base64')
+    // GCM accepts truncated tags, which are easier to forge, so only full-length ones are allowed.
+    if (tag.length !== gcmTagBytes) { throw new Error('malformed envelope') }
+    const decipher = crypto.createDecipheriv(gcmAlgorithm, getKey(keyId),
+      Buffer.from(ivBase64, 'base64'), {authTagLength: gcmTagBytes})
+    decipher.setAAD(aadBuffer(aad))
+    decipher.setAuthTag(tag)
+    const deciphered = Buffer.concat(
+      [decipher.update(Buffer.from(cipheredBase64, 'base64')), decipher.final()])
+    return deciphered.toString('utf8')
+  }
+
+  // Returns {version, keyId, value}. Throws if the value has been tampered with, was encrypted for
+  // a different user ID or key, or names a key that is not in the keyring.
+  function decryptValue(aad, ivBase64, storedValue) {
+    const {version, body} = parseEnvelope(storedValue)
+    switch (version) {
+      case 1:
+        return {version, keyId: legacyKeyId, value: decryptCbc(legacyKeyId, ivBase64, body)}
+      case 2: {
+        const value = decryptGcm(legacyKeyId, aad, ...body.split(':'))
+        return {version, keyId: legacyKeyId, value}
+      }
+      case 3: {
+        const [keyId, ...parts] = body.split(':')
+        return {version, keyId, value: decryptGcm(keyId, aad, ...parts)}
+      }
+      default: throw new Error(`unsupported envelope version: ${version}`)
+    }
+  }
+
+  function isCurrent(decrypted) {
+    return decrypted.version === currentVersion && decrypted.keyId === activeKeyId
+  }
+
+  // A keyed hash of a value, so equal values can be found without decrypting anything. It uses a
+  // key of its own, so rotating the encryption keys doesn't invalidate stored indexes. `key` is
+  // hashed in too, so equal values of different keys don't match.
+  function blindIndex(key, value) {
+    if (!blindIndexKey) { throw new Error('no blind index key is configured') }
+    return crypto.createHmac('sha256', blindIndexKey)
+      .update(JSON.stringify([key, value]), 'utf8').digest('base64')
+  }
+
+  return {
+    currentVersion, activeKeyId, encryptValue, decryptValue, isCurrent, generateIvBase64,
+    blindIndex
   }
+}
 
-  return {cipherValueToBase64, decipherValueFromBase64, generateIvBase64}
+// Builds a keyring from an environment's config:
+// - encryptionKeyBase64: the original single key, kept under the ID "legacy". Used to decrypt
+//   v1 and v2 values.
+// - encryptionKeys: a map of key ID to base64 key. Retired keys stay here for decryption only.
+// - activeEncryptionKeyId: the key used for all writes. Defaults to "legacy".
+// - blindIndexKeyBase64: the HMAC key for blind indexes (see blindIndex). Changing it breaks
+//   lookups by value until the re-encryption sweep has rewritten every index.
+module.exports.keyringFromConfig = function(envConfig) {
+  const legacyKeyId = 'legacy'
+  const keysBase64 = {
+    ...(envConfig.encryptionKeyBase64 ? {[legacyKeyId]: envConfig.encryptionKeyBase64} : {}),
+    ...envConfig.encryptionKeys
+  }
+  const keys = {}
+  for (const keyId of Object.keys(keysBase64)) {
+    if (!/^[\w.-]+$/.test(keyId)) { throw new Error(`invalid encryption key ID: ${keyId}`) }
+    keys[keyId] = Buffer.from(keysBase64[keyId], 'base64')
+    if (keys[keyId].length !== 32) {
+      throw new Error(`encryption key ${keyId} must be 32 bytes, got ${keys[keyId].length}`)
+    }
+  }
+  const blindIndexKey = envConfig.blindIndexKeyBase64 &&
+    Buffer.from(envConfig.blindIndexKeyBase64, 'base64')
+  if (blindIndexKey && blindIndexKey.length !== 32) {
+    throw new Error(`blind index key must be 32 bytes, got ${blindIndexKey.length}`)
+  }
+  return {
+    activeKeyId: envConfig.activeEncryptionKeyId || legacyKeyId, legacyKeyId, keys, blindIndexKey
+  }
 }
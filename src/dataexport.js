@@ -0,0 +1,34 @@
+const _ = require('lodash/fp')
+const profilekeys = require('./profilekeys')
+
+// Everything the service holds about a user, decrypted, for GET /me/export:
+//   {userId, exportedAt, profileVersion, values, linkHistory, changeHistory}
+// `values` has each profile key's value, as /me returns it (or `decryptError` or `decodeError`),
+// with its metadata: the envelope version and key ID it's encrypted with, and when it was last
+// written (from the change history; null for values written before change events were recorded).
+module.exports = async function(envServices, userId) {
+  const {ekvdb, linkHistory, changeEvents, storage} = envServices
+  const pairs = await ekvdb.getPairs(userId)
+  const changeHistory = await changeEvents.history(userId)
+  const writtenAt = {}
+  for (const event of changeHistory) {
+    for (const key of _.keys(event.changes)) { writtenAt[key] = event.createdAt }
+  }
+  const values = _.fromPairs(_.map(key => {
+    const {value, decryptError, decodeError, version, keyId} = pairs[key]
+    return [key, {
+      ...(decryptError ? {decryptError} : {envelopeVersion: version, keyId}),
+      ...(_.has('value')(pairs[key]) ? {value: profilekeys.toJson(key, value)} : {}),
+      ...(decodeError ? {decodeError} : {}),
+      lastWrittenAt: writtenAt[key] || null
+    }]
+  })(_.keys(pairs)))
+  return {
+    userId,
+    exportedAt: new Date().toISOString(),
+    profileVersion: await storage.getProfileVersion(userId),
+    values,
+    linkHistory: await linkHistory.list(userId),
+    changeHistory
+  }
+}
@@ -1,92 +1,266 @@
+const nodeCrypto = require('crypto')
 const _ = require('lodash/fp')
-const mysql = require('mysql')
-
-module.exports = function(crypto, dbOpts) {
-
-  let cachedPool = undefined
-  const qnTable = '`KEY_VALUE_PAIR`'
-  const qnUserId = '`USER_ID`'
-  const qnKey = '`KEY`'
-  const qnIv = '`IV`'
-  const qnValue = '`VALUE`'
-
-  async function getPool() {
-    if (!cachedPool) {
-      cachedPool = await mysql.createPool({
-        user: 'shib-profile',
-        database: 'thurloe',
-        socketPath: `/cloudsql/${dbOpts.instanceConnectionName}`,
-        ...dbOpts
-      })
+const changeevents = require('./changeevents')
+const log = require('./log')
+const metrics = require('./metrics')
+const profilekeys = require('./profilekeys')
+const {isDuplicateKeyError} = require('./storage')
+
+class UniqueValueError extends Error {
+  constructor(key) {
+    super(`value of ${key} is already used by another user`)
+    this.key = key
+  }
+}
+
+class VersionConflictError extends Error {
+  constructor(currentVersion) {
+    super(`profile is at version ${currentVersion}`)
+    this.currentVersion = currentVersion
+  }
+}
+
+// What erasing a user keeps, and why, as each erasure receipt states.
+const keptRecords = {
+  PROFILE_VERSION: 'the profile version, so versions never repeat',
+  SHIBBOLETH_TOKEN_USE: 'used token IDs, until the tokens expire, so they can\'t be replayed',
+  ADMIN_AUDIT_LOG: 'admin actions on the user, for accountability'
+}
+
+// `storage` is one of the adapters in ./storage. `opts.uniqueKeys` maps each key whose values must
+// be unique across users to a function normalizing its values (e.g., lowercasing them), and such
+// values are stored with a blind index (see crypto.blindIndex). The storage rejects a second row
+// with the same key and index, and findUserIds looks values up by it.
+//
+// Values are typed (see ./profilekeys): setValue validates and encodes them, and getPairs decodes
+// them.
+//
+// Every write also appends a change event (see ./changeevents) in the same transaction, and queues
+// its delivery to each of `opts.changeSubscribers` ([{name, keys}]) interested in the keys it
+// changed.
+module.exports = function(crypto, storage, opts = {}) {
+
+  const {uniqueKeys = {}, changeSubscribers = []} = opts
+
+  function blindIndexFor(key, value) {
+    return _.has(key)(uniqueKeys) ? crypto.blindIndex(key, uniqueKeys[key](value)) : null
+  }
+
+  async function writeUnique(key, write) {
+    try {
+      return await write()
+    } catch (e) {
+      if (_.has(key)(uniqueKeys) && isDuplicateKeyError(e)) {
+        throw new UniqueValueError(key)
+      }
+      throw e
     }
-    return cachedPool
   }
 
-  function query(sql, params) {
-    return new Promise(async (resolve) => {
-      (await getPool()).query(sql, params, (err, results, fields) => {
-        resolve([err, results, fields])
-      })
-    })
+  // Values that fail to decrypt have `decryptError`, and those that decrypt but don't decode as
+  // their key's type have `decodeError`, instead of `value`.
+  function decryptRow(row) {
+    const pair = {ivBase64: row.IV, cipheredValueBase64: row.VALUE}
+    let decrypted
+    try {
+      decrypted = crypto.decryptValue([row.USER_ID, row.KEY], row.IV, row.VALUE)
+    } catch (e) {
+      log.error('failed to decrypt value', {userId: row.USER_ID, key: row.KEY, err: e})
+      metrics.decryptFailures.inc({table: 'KEY_VALUE_PAIR'})
+      return {...pair, decryptError: e.message}
+    }
+    const {value, ...metadata} = decrypted
+    try {
+      return {...pair, ...metadata, value: profilekeys.decode(row.KEY, value)}
+    } catch (e) {
+      log.error('failed to decode value', {userId: row.USER_ID, key: row.KEY, err: e})
+      metrics.decodeFailures.inc({key: row.KEY})
+      return {...pair, ...metadata, decodeError: e.message}
+    }
   }
 
   async function getPairs(userId) {
-    const [err, results, fields] = await query(
-      `select * from ${qnTable} where ${qnUserId}=?`, [userId])
-    if (err) { throw err }
+    const rows = await storage.getRows(userId)
     return _.reduce((r, v) => {
-      return {
-        ...r,
-        [v.KEY]: {
-          ivBase64: v.IV,
-          cipheredValueBase64: v.VALUE,
-          value: crypto.decipherValueFromBase64(v.IV, v.VALUE)
-        }
-      }
-    })({})(results)
+      return {...r, [v.KEY]: decryptRow(v)}
+    })({})(rows)
   }
 
+  // Leaves out values that failed to decrypt or decode, which decryptRow logs and counts.
   function toPlain(pairs) {
     return _.reduce((r, k) => {
-      return {...r, [k]: pairs[k].value}
+      return _.has('value')(pairs[k]) ? {...r, [k]: pairs[k].value} : r
     })({})(_.keys(pairs))
   }
 
-  async function setValue(userId, pairs, key, value) {
-    const storedIvBase64 = _.get([key, 'ivBase64'])(pairs)
-    const ivBase64 = storedIvBase64 || crypto.generateIvBase64()
-    if (storedIvBase64) {
-      const [err, results, fields] = await query(
-        `update ${qnTable} set ${qnValue}=? where ${qnUserId}=? and ${qnKey}=?`,
-        [crypto.cipherValueToBase64(ivBase64, value), userId, key]
-      )
-      if (err) { throw err }
-      if (results.affectedRows !== 1) {
-        throw new Error(`Error updating value for ${userId}[userId]:${key}[key].`+
-          ` Affected row count was ${results.affectedRows}.`)
+  // `changes` maps each changed key to its new value as stored (i.e., encoded), or null if it was
+  // deleted (or wasn't set).
+  async function recordChange(tx, userId, changes) {
+    const subscribers = changeevents.subscribersFor(changeSubscribers, _.keys(changes))
+    const {storedValue} = crypto.encryptValue(
+      changeevents.eventAad(userId), JSON.stringify(changes))
+    return tx.appendChangeEvent({
+      USER_ID: userId,
+      EVENT_ID: nodeCrypto.randomBytes(12).toString('hex'),
+      CREATED_AT: Date.now(),
+      CHANGES: storedValue
+    }, _.map('name')(subscribers))
+  }
+
+  // Reads the user's profile version before the values, so the version is never newer than them:
+  // a write conditioned on it fails rather than clobbering a change the caller hasn't seen.
+  // Returns {version, pairs}.
+  async function getProfile(userId) {
+    const version = await storage.getProfileVersion(userId)
+    return {version, pairs: await getPairs(userId)}
+  }
+
+  // Rows with a blind index are updated, or inserted if missing, rather than upserted (see
+  // storage.upsertRows).
+  async function writeIndexedRow(tx, row) {
+    const affectedRows = await writeUnique(row.KEY, () => tx.updateRow(row.USER_ID, row.KEY, row))
+    if (affectedRows === 0) { await writeUnique(row.KEY, () => tx.insertRow(row)) }
+  }
+
+  // Sets and deletes several keys in one transaction, recorded as one change: `changes` maps each
+  // key to its new value, or null to delete it. With `expectedVersions`, the write only applies if
+  // the profile version is one of them, and otherwise throws VersionConflictError. Returns the new
+  // profile version.
+  //
+  // Always encrypts with a fresh IV in the current envelope format, so legacy rows are upgraded
+  // when they are next written. Throws profilekeys.InvalidValueError if a value doesn't fit its
+  // key, and UniqueValueError if another user has the same value of a unique key.
+  async function setValues(userId, changes, {expectedVersions} = {}) {
+    const keys = _.keys(changes)
+    const deletedKeys = _.filter(k => changes[k] === null)(keys)
+    const stored = _.fromPairs(_.map(k => [k, changes[k] === null ?
+      null : profilekeys.encode(k, changes[k])])(keys))
+    const rows = _.map(k => {
+      const {ivBase64, storedValue} = crypto.encryptValue([userId, k], stored[k])
+      return {
+        USER_ID: userId, KEY: k, IV: ivBase64, VALUE: storedValue,
+        BLIND_INDEX: blindIndexFor(k, stored[k])
       }
-    } else {
-      const [err, results, fields] = await query(
-        `insert into ${qnTable} (${qnUserId}, ${qnKey}, ${qnIv}, ${qnValue})` +
-        ` values (?, ?, ?, ?)`,
-        [userId, key, ivBase64, crypto.cipherValueToBase64(ivBase64, value)]
-      )
-      if (err) { throw err }
-      if (results.affectedRows !== 1) {
-        throw new Error(`Error inserting value for ${userId}[userId]:${key}[key].`+
-          ` Affected row count was ${results.affectedRows}.`)
+    })(_.difference(keys, deletedKeys))
+    return storage.transaction(async (tx) => {
+      // Deleting keys that aren't set changes nothing, so a write that does only that leaves the
+      // version as it is and records no change.
+      const absentKeys = _.difference(deletedKeys, _.map('KEY')(await tx.getRows(userId)))
+      const changedKeys = _.difference(keys, absentKeys)
+      if (changedKeys.length === 0) {
+        const version = await tx.getProfileVersion(userId)
+        if (expectedVersions && !_.includes(version)(expectedVersions)) {
+          throw new VersionConflictError(version)
+        }
+        return version
       }
-    }
+      // Recording the change first bumps the profile version, which holds a lock on it until the
+      // transaction ends, so the user's writes take turns and the version check is exact.
+      const version = await recordChange(tx, userId, _.pick(changedKeys)(stored))
+      if (expectedVersions && !_.includes(version - 1)(expectedVersions)) {
+        throw new VersionConflictError(version - 1)
+      }
+      await tx.deleteRows(userId, deletedKeys)
+      await tx.upsertRows(_.reject('BLIND_INDEX')(rows))
+      for (const row of _.filter('BLIND_INDEX')(rows)) { await writeIndexedRow(tx, row) }
+      return version
+    })
   }
 
-  function decipherKvPairs(queryResult) {
-    return _.reduce((r, v) => {
+  async function setValue(userId, key, value) {
+    return setValues(userId, {[key]: value})
+  }
+
+  async function deleteValue(userId, key) {
+    return deleteValues(userId, [key])
+  }
+
+  // Deletes several keys at once, so either all or none are removed. Returns the number of keys
+  // that were present. No change event is recorded if none were.
+  async function deleteValues(userId, keys) {
+    return storage.transaction(async (tx) => {
+      const deleted = await tx.deleteRows(userId, keys)
+      if (deleted > 0) {
+        await recordChange(tx, userId, _.fromPairs(_.map(k => [k, null])(keys)))
+      }
+      return deleted
+    })
+  }
+
+  // Erases everything stored about the user (see storage.deleteUserData) in one transaction, and
+  // records an erasure receipt. Subscribers are sent a final change event with every erased key
+  // set to null. Returns the receipt:
+  // {receiptId, userId, erasedAt, requestedBy, deletedRows, keptRecords}.
+  async function eraseUser(userId, requestedBy) {
+    return storage.transaction(async (tx) => {
+      const keys = _.map('KEY')(await tx.getRows(userId))
+      const deletedRows = await tx.deleteUserData(userId)
+      if (keys.length > 0) {
+        await recordChange(tx, userId, _.fromPairs(_.map(k => [k, null])(keys)))
+      }
+      const receipt = {
+        RECEIPT_ID: nodeCrypto.randomBytes(12).toString('hex'),
+        USER_ID: userId,
+        ERASED_AT: Date.now(),
+        REQUESTED_BY: requestedBy,
+        DELETED_ROWS: JSON.stringify(deletedRows)
+      }
+      await tx.appendErasureReceipt(receipt)
       return {
-        ivs: {...r.ivs, [v.KEY]: v.IV},
-        values: {...r.values, [v.KEY]: crypto.decipherValueFromBase64(v.IV, v.VALUE)}
+        receiptId: receipt.RECEIPT_ID,
+        userId,
+        erasedAt: new Date(receipt.ERASED_AT).toISOString(),
+        requestedBy,
+        deletedRows,
+        keptRecords
       }
-    })({ivs: {}, values: {}})(queryResult)
+    })
+  }
+
+  // Returns up to `limit` raw rows ordered by user ID and key, starting after `cursor` (a
+  // {userId, key} object, or undefined to start at the beginning).
+  async function scanRows(cursor, limit) {
+    return storage.scanRows(cursor, limit)
   }
 
-  return {getPairs, setValue, toPlain}
+  // Returns up to `limit` decrypted values of one key, ordered by user ID, for users after
+  // `afterUserId`: [{userId, value}]. Values that fail to decrypt or decode have `decryptError` or
+  // `decodeError` instead.
+  async function scanValues(key, afterUserId, limit) {
+    const rows = await storage.scanRowsByKey(key, afterUserId, limit)
+    return _.map(row => ({
+      userId: row.USER_ID, ..._.pick(['value', 'decryptError', 'decodeError'])(decryptRow(row))
+    }))(rows)
+  }
+
+  // Returns the IDs of the users whose value of a unique key matches `value` once normalized.
+  async function findUserIds(key, value) {
+    if (!_.has(key)(uniqueKeys)) { throw new Error(`${key} is not a unique key`) }
+    const rows = await storage.findRowsByBlindIndex(key, blindIndexFor(key, value))
+    return _.map('USER_ID')(rows)
+  }
+
+  // Rewrites a raw row under the active key and current envelope format, and fills in a missing or
+  // stale blind index. The update only applies if the stored value hasn't changed since the row
+  // was read, so a concurrent write is never clobbered. Returns 'reencrypted', 'current' (nothing
+  // to do) or 'changed' (lost the race).
+  async function reencryptRow(row) {
+    const decrypted = crypto.decryptValue([row.USER_ID, row.KEY], row.IV, row.VALUE)
+    const blindIndex = blindIndexFor(row.KEY, decrypted.value)
+    if (crypto.isCurrent(decrypted) && (row.BLIND_INDEX || null) === blindIndex) {
+      return 'current'
+    }
+    const {ivBase64, storedValue} = crypto.encryptValue([row.USER_ID, row.KEY], decrypted.value)
+    const affectedRows = await writeUnique(row.KEY, () => storage.updateRow(row.USER_ID, row.KEY,
+      {IV: ivBase64, VALUE: storedValue, BLIND_INDEX: blindIndex}, row.VALUE))
+    return affectedRows === 1 ? 'reencrypted' : 'changed'
+  }
+
+  return {
+    getPairs, getProfile, setValue, setValues, deleteValue, deleteValues, eraseUser, toPlain,
+    scanRows, scanValues, findUserIds, reencryptRow
+  }
 }
+
+module.exports.UniqueValueError = UniqueValueError
+module.exports.VersionConflictError = VersionConflictError
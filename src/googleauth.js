@@ -0,0 +1,158 @@
+const crypto = require('crypto')
+const jwt = require('jsonwebtoken')
+const _ = require('lodash/fp')
+const jwks = require('./jwks')
+const metrics = require('./metrics')
+const u = require('./utils')
+
+// Authenticates Google bearer tokens. ID tokens (JWTs) are verified locally against Google's
+// signing keys, which are cached. Opaque access tokens are checked with the tokeninfo endpoint,
+// and the result is cached until the token expires or `tokenInfoCacheSeconds` passes, whichever
+// is sooner. Raw tokens are never stored or returned; the cache is keyed by a hash.
+
+const googleJwksUrl = 'https://www.googleapis.com/oauth2/v3/certs'
+const maxTokenInfoCacheEntries = 10000
+
+const keyCaches = {}
+const tokenInfoCache = new Map()
+
+function getKeyCache(jwksUrl) {
+  if (!keyCaches[jwksUrl]) {
+    keyCaches[jwksUrl] = jwks.createKeyCache(() => jwks.fetchJwks(jwksUrl))
+  }
+  return keyCaches[jwksUrl]
+}
+
+class AuthError extends Error {
+  constructor(message, details = {}) {
+    super(message)
+    this.details = details
+  }
+}
+
+function decodeJwtHeader(token) {
+  const parts = token.split('.')
+  if (parts.length !== 3) { return undefined }
+  try {
+    const header = JSON.parse(Buffer.from(parts[0], 'base64').toString())
+    return _.isPlainObject(header) && header.alg ? header : undefined
+  } catch (e) {
+    return undefined
+  }
+}
+
+async function verifyIdToken(token, header, opts) {
+  const {jwksUrl = googleJwksUrl, issuers, audiences} = opts
+  // Any OAuth client can get an ID token for a user, so one is only trusted if it was issued to
+  // one of ours.
+  if (_.isEmpty(audiences)) {
+    throw new AuthError('ID tokens are not accepted: no audiences are configured')
+  }
+  let key
+  try {
+    key = await getKeyCache(jwksUrl).getKey(header.kid)
+  } catch (e) {
+    throw new AuthError('unable to find key for ID token', {kid: header.kid, cause: e.message})
+  }
+  try {
+    return jwt.verify(token, key, {
+      algorithms: ['RS256'],
+      ...(_.isEmpty(issuers) ? {} : {issuer: issuers}),
+      audience: audiences
+    })
+  } catch (e) {
+    throw new AuthError('invalid ID token', {cause: e.message})
+  }
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('base64')
+}
+
+function pruneTokenInfoCache(now) {
+  for (const [k, v] of tokenInfoCache) {
+    if (v.expiresAt <= now) { tokenInfoCache.delete(k) }
+  }
+  // Map iterates in insertion order, so this drops the oldest entries first.
+  for (const k of tokenInfoCache.keys()) {
+    if (tokenInfoCache.size < maxTokenInfoCacheEntries) { break }
+    tokenInfoCache.delete(k)
+  }
+}
+
+async function fetchTokenInfo(accessToken) {
+  const res = await u.httpreq({
+    hostname: 'oauth2.googleapis.com',
+    path: '/tokeninfo?access_token='+encodeURIComponent(accessToken)
+  }).resp
+  const body = (await u.slurpStream(res)).toString()
+  let info
+  try {
+    info = JSON.parse(body)
+  } catch (e) {
+    info = undefined
+  }
+  if (res.statusCode !== 200 || !info) {
+    throw new AuthError('invalid bearer token', {
+      statusCode: res.statusCode,
+      cause: _.pick(['error', 'error_description'])(info)
+    })
+  }
+  return info
+}
+
+async function getTokenInfo(accessToken, opts) {
+  const {tokenInfoCacheSeconds = 300, audiences} = opts
+  const cacheKey = hashToken(accessToken)
+  const now = Date.now()
+  const cached = tokenInfoCache.get(cacheKey)
+  if (cached && cached.expiresAt > now) {
+    metrics.tokenInfoRequests.inc({result: 'cache_hit'})
+    return cached.info
+  }
+
+  let info
+  try {
+    info = await fetchTokenInfo(accessToken)
+  } catch (e) {
+    metrics.tokenInfoRequests.inc({result: 'invalid'})
+    throw e
+  }
+  metrics.tokenInfoRequests.inc({result: 'valid'})
+  if (!_.isEmpty(audiences) && !_.includes(info.aud)(audiences) &&
+      !_.includes(info.azp)(audiences)) {
+    throw new AuthError('token was not issued for an allowed audience')
+  }
+  const tokenExpiresAt = info.exp ?
+    1000 * parseInt(info.exp) : now + 1000 * parseInt(info.expires_in || 0)
+  const expiresAt = Math.min(tokenExpiresAt, now + 1000 * tokenInfoCacheSeconds)
+  if (expiresAt > now) {
+    pruneTokenInfoCache(now)
+    tokenInfoCache.set(cacheKey, {info, expiresAt})
+  }
+  return info
+}
+
+function checkEmailDomain(claims, allowedEmailDomains) {
+  if (_.isEmpty(allowedEmailDomains)) { return }
+  const domain = _.last((claims.email || '').split('@')).toLowerCase()
+  const verified = claims.email_verified === true || claims.email_verified === 'true'
+  if (!verified || !_.includes(domain)(_.map(_.toLower)(allowedEmailDomains))) {
+    throw new AuthError('email domain is not allowed', {domain})
+  }
+}
+
+// Returns the token's claims (for ID tokens) or tokeninfo (for access tokens). Both include `sub`
+// and `email`. Throws AuthError if the token isn't valid or fails a configured check. `opts` is
+// the `googleAuth` config: audiences, issuers, allowedEmailDomains, tokenInfoCacheSeconds and
+// jwksUrl.
+async function verifyBearerToken(token, opts = {}) {
+  const header = decodeJwtHeader(token)
+  const claims = header ?
+    await verifyIdToken(token, header, opts) : await getTokenInfo(token, opts)
+  if (!claims.sub) { throw new AuthError('token has no subject') }
+  checkEmailDomain(claims, opts.allowedEmailDomains)
+  return claims
+}
+
+module.exports = {verifyBearerToken, AuthError}
@@ -0,0 +1,75 @@
+const _ = require('lodash/fp')
+const configLoader = require('./config')
+const lifecycle = require('./lifecycle')
+const log = require('./log')
+const services = require('./services')
+const shibboleth = require('./shibboleth')
+
+// Readiness checks for /readyz: the config loads and, for each enabled environment, its
+// encryption keys work, its storage answers and its Shibboleth verification keys can be loaded.
+// Checks run concurrently, each limited to `readinessCheckTimeoutMs`.
+
+const defaultTimeoutMs = 2000
+
+function withTimeout(promise, ms) {
+  let timer
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`timed out after ${ms}ms`)), ms)
+  })
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer))
+}
+
+// Resolves to {ok, latencyMs}, plus `error` (a message) when the check failed.
+async function runCheck(check, timeoutMs) {
+  const startTime = Date.now()
+  try {
+    await withTimeout(Promise.resolve().then(check), timeoutMs)
+    return {ok: true, latencyMs: Date.now() - startTime}
+  } catch (e) {
+    return {ok: false, latencyMs: Date.now() - startTime, error: log.redact(e.message)}
+  }
+}
+
+// Encrypts and decrypts a value with the active key, and computes a blind index.
+function checkCrypto(envConfig) {
+  const crypto = services.cryptoFromConfig(envConfig)
+  const aad = ['READINESS_CHECK']
+  const {ivBase64, storedValue} = crypto.encryptValue(aad, 'ok')
+  if (crypto.decryptValue(aad, ivBase64, storedValue).value !== 'ok') {
+    throw new Error('decrypted value does not match')
+  }
+  crypto.blindIndex('READINESS_CHECK', 'ok')
+}
+
+function environmentChecks(envName, envConfig) {
+  return {
+    [`${envName}.crypto`]: () => checkCrypto(envConfig),
+    // The storage requests use, so this checks its connection pool.
+    [`${envName}.storage`]: () => lifecycle.storageFor(envName, envConfig).ping(),
+    [`${envName}.shibbolethKeys`]: () =>
+      shibboleth.checkKeySource(shibboleth.keySourceFromConfig(envConfig))
+  }
+}
+
+// Resolves to {ready, checks}, where `checks` has each check's result by name, e.g.,
+// {"config": {ok: true, latencyMs: 1}, "dev.storage": {ok: false, latencyMs: 2000, error: ...}}.
+async function checkReadiness() {
+  let config
+  const configCheck = await runCheck(async () => {
+    config = await configLoader.get()
+  }, defaultTimeoutMs)
+  const checks = {config: configCheck}
+  if (config) {
+    const timeoutMs = config.readinessCheckTimeoutMs || defaultTimeoutMs
+    const envNames = _.filter(n => config.environments[n].enabled !== false)(
+      _.keys(config.environments))
+    const pending = Object.assign({},
+      ..._.map(n => environmentChecks(n, config.environments[n]))(envNames))
+    const names = _.keys(pending)
+    const results = await Promise.all(_.map(name => runCheck(pending[name], timeoutMs))(names))
+    Object.assign(checks, _.zipObject(names, results))
+  }
+  return {ready: _.every('ok')(_.values(checks)), checks}
+}
+
+module.exports = {checkReadiness}
@@ -1,5 +1,7 @@
 const cp = require('child_process')
-const fs = require('fs').promises
+const crypto = require('crypto')
+const fsSync = require('fs')
+const fs = fsSync.promises
 const http = require('http')
 const path = require('path')
 
@@ -24,7 +26,7 @@ function spawnp(cmd, args, opts = {}) {
     'stdout stderr pipeStdoutTo pipeStderrTo ignoreNonZero stderrOnError'.split(/\s+/))
   opts.stderrOnError = opts.stderrOnError === undefined ? true : opts.stderrOnError
   const p = cp.spawn(cmd, args, spawnOpts)
-  const promise = new Promise((resolve) => {
+  const promise = new Promise((resolve, reject) => {
     const out = {
       stdout: opts.stdout ? [] : undefined,
       stderr: (opts.stderr || opts.stderrOnError) ? [] : undefined
@@ -36,7 +38,7 @@ function spawnp(cmd, args, opts = {}) {
       if (code !== 0 && !opts.ignoreNonZero) {
         const message = `non-zero error code running command: ${cmd} ${args.join(' ')}`
         const stderr = opts.stderrOnError ? '\n'+out.stderr : ''
-        throw new Error(message+stderr)
+        return reject(new Error(message+stderr))
       }
       resolve({code, ...out})
     })
@@ -65,21 +67,63 @@ async function copyFiles(writeablePath) {
   await Promise.all([tar.promise, untar.promise])
 }
 
-async function overwriteFiles(log, writeablePath, req) {
-  await spawnp('rm', ['-rf', writeablePath]).promise
-  await spawnp('mkdir', ['-p', writeablePath]).promise
-  const untar = spawnp('tar', ['-x'], {cwd: writeablePath})
-  const pipe = req.pipe(untar.p.stdin)
-  return new Promise((resolve) => {
-    pipe.on('finish', resolve)
+class ReloadError extends Error {
+  constructor(status, code, message) {
+    super(message)
+    this.status = status
+    this.code = code
+  }
+}
+
+// Streams the request body to `filename`. Resolves to its SHA-256 (hex) and size.
+function saveUpload(req, filename, maxBytes) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256')
+    let size = 0
+    const out = fsSync.createWriteStream(filename)
+    req.on('data', (chunk) => {
+      hash.update(chunk)
+      size += chunk.length
+      if (size > maxBytes) {
+        req.unpipe(out)
+        out.destroy()
+        reject(new ReloadError(413, 'upload_too_large', `upload exceeds ${maxBytes} bytes`))
+      }
+    })
+    req.on('error', reject)
+    out.on('error', reject)
+    out.on('finish', () => { resolve({sha256: hash.digest('hex'), size}) })
+    req.pipe(out)
   })
 }
 
+// Checks the upload against the X-Content-SHA256 header, if sent, and against the
+// X-Code-Signature header (a base64 RSA or ECDSA SHA-256 signature of the tarball), which is
+// required when a public key is configured.
+async function verifyUpload(filename, {sha256}, headers, publicKeyPem) {
+  const expectedHash = headers['x-content-sha256']
+  if (expectedHash && expectedHash.toLowerCase() !== sha256) {
+    throw new ReloadError(400, 'hash_mismatch',
+      `upload has SHA-256 ${sha256}, not ${expectedHash}`)
+  }
+  if (!publicKeyPem) { return false }
+  const signature = headers['x-code-signature']
+  if (!signature) {
+    throw new ReloadError(400, 'signature_required', 'missing X-Code-Signature header')
+  }
+  const verifier = crypto.createVerify('SHA256')
+  verifier.update(await fs.readFile(filename))
+  if (!verifier.verify(publicKeyPem, Buffer.from(signature, 'base64'))) {
+    throw new ReloadError(400, 'invalid_signature', 'signature does not match the upload')
+  }
+  return true
+}
+
 function getFilteredRequireCache() {
   return Object.keys(require.cache).filter(x => !x.startsWith(nodeModulesPath))
 }
 
-function purgeCache(log, writeablePath) {
+function purgeCache(log) {
   log('purging require cache...')
   getFilteredRequireCache().forEach((key) => {
     log(key)
@@ -96,71 +140,328 @@ function logRequireCache(log) {
   log('*** end ***')
 }
 
+// `dir` and every directory under it, except node_modules.
+async function listDirectories(dir) {
+  const entries = await fs.readdir(dir, {withFileTypes: true})
+  const subdirs = entries.filter(e => e.isDirectory() && e.name !== 'node_modules')
+  const nested = await Promise.all(subdirs.map(e => listDirectories(path.join(dir, e.name))))
+  return [dir, ...[].concat(...nested)]
+}
+
+function sendJson(res, status, x) {
+  res.status(status).type('application/json').send(JSON.stringify(x, null, 2)+'\n').end()
+}
+
+// With live reloading, code is served from `writeablePath`, which must come first in NODE_PATH.
+// Each upload to `url` (a tarball of the repository, without node_modules) is kept as a numbered
+// version under `versionsPath`, with its SHA-256, and the app is reloaded from it. Version 0 is the
+// deployed code. A version is only made active once its app has loaded and initialized; if that
+// fails, the previous version keeps serving. Routes, all guarded by `before`, which must set
+// res.locals.isReloadOkay, and added to the app's `reloadRoutes` router if it has one:
+// - GET <url>: the versions, and which is active.
+// - POST <url>: upload a new version and activate it.
+// - POST <url>/versions/<n>/activate: activate an earlier version, e.g., to roll back.
+// - DELETE <url>: activate version 0.
+// With `watchEnabled`, the app is instead reloaded in place when its source files change (see
+// watchFiles).
 async function main(opts) {
   const {
     liveReloadEnabled,
-    writeablePath, mainPath,
+    writeablePath, versionsPath, mainPath,
     url, port,
+    publicKeyFile,
+    maxUploadBytes = 100 * 1024 * 1024,
+    maxVersions = 20,
+    watchEnabled = false,
+    watchPath,
+    debounceMs = 250,
+    shutdownTimeoutMs = 10 * 1000,
     before = (req, res, next) => { next() },
-    after = (req, res) => { res.send(`${(new Date()).toISOString()}: Code reloaded.\n`).end() },
-    log = console.log
+    log = require('./log')
   } = opts
 
   let app = undefined
+  let activeVersion = 0
+  let reloading = undefined
+  let shuttingDown = false
+  const watchers = []
+  // Requests in flight by the app serving them, which may have been replaced since, and by
+  // connection.
+  const appRequests = new Map()
+  const connections = new Map()
+  const closedApps = new WeakSet()
+  const publicKeyPem = publicKeyFile ? await fs.readFile(publicKeyFile, 'utf8') : undefined
+
+  const versionDir = (version) => path.join(versionsPath, String(version))
+  const versionFile = (version) => path.join(versionsPath, `${version}.json`)
 
-  async function resetApp() {
-    app = await require(mainPath)
+  async function listVersions() {
+    const files = (await fs.readdir(versionsPath)).filter(f => /^\d+\.json$/.test(f))
+    const versions = await Promise.all(
+      files.map(async f => JSON.parse(await fs.readFile(path.join(versionsPath, f), 'utf8'))))
+    return versions.sort((a, b) => a.version - b.version)
+      .map(v => ({...v, active: v.version === activeVersion}))
+  }
+
+  async function removeVersion(version) {
+    await spawnp('rm', ['-rf', versionDir(version), versionFile(version)]).promise
+  }
 
+  // Keeps version 0, the active version and the newest others, up to `maxVersions` in all.
+  async function pruneVersions() {
+    const removable = (await listVersions()).filter(v => v.version !== 0 && !v.active)
+    for (const v of removable.slice(0, Math.max(0, removable.length - (maxVersions - 2)))) {
+      await removeVersion(v.version)
+    }
+  }
+
+  async function checkout(version) {
+    await spawnp('rm', ['-rf', writeablePath]).promise
+    await spawnp('cp', ['-a', versionDir(version), writeablePath]).promise
+  }
+
+  // Loads and initializes the app from `writeablePath`, and only then serves it.
+  async function loadApp() {
+    const resolved = require.resolve(mainPath)
+    if (liveReloadEnabled && !resolved.startsWith(writeablePath + path.sep)) {
+      throw new Error(`${mainPath} resolved to ${resolved}, outside ${writeablePath}`)
+    }
+    const newApp = await require(mainPath)
+    if (newApp.init) { await newApp.init() }
+    if (liveReloadEnabled) { addReloadRoutes(newApp.reloadRoutes || newApp) }
     logRequireCache(log)
+    const previous = app
+    app = newApp
+    if (previous) { closeIfRetired(previous) }
+  }
+
+  // Releases an app's resources (e.g., connection pools) with its `close`, if it has one.
+  async function closeApp(target) {
+    if (!target.close || closedApps.has(target)) { return }
+    closedApps.add(target)
+    try {
+      await target.close()
+    } catch (e) {
+      log.error('failed to close app', {err: e})
+    }
+  }
+
+  // Closes an app that a reload replaced, once it has finished its requests.
+  function closeIfRetired(target) {
+    if (target !== app && !shuttingDown && !appRequests.get(target)) {
+      appRequests.delete(target)
+      closeApp(target)
+    }
+  }
+
+  async function activate(version) {
+    await checkout(version)
+    purgeCache(log)
+    try {
+      await loadApp()
+    } catch (e) {
+      log.error(`failed to load version ${version}; keeping version ${activeVersion}`, {err: e})
+      await checkout(activeVersion)
+      purgeCache(log)
+      throw new ReloadError(422, 'load_failed', `version ${version} failed to load: ${e.message}`)
+    }
+    activeVersion = version
+    log(`activated version ${version}.`)
+  }
 
-    app.post(url, before, async (req, res, next) => {
+  async function upload(req) {
+    const versions = await listVersions()
+    const version = versions[versions.length - 1].version + 1
+    const tarball = path.join(versionsPath, `${version}.tar`)
+    try {
+      const saved = await saveUpload(req, tarball, maxUploadBytes)
+      const signed = await verifyUpload(tarball, saved, req.headers, publicKeyPem)
+      await spawnp('mkdir', ['-p', versionDir(version)]).promise
+      await spawnp('tar', ['-x', '-f', tarball, '-C', versionDir(version)]).promise
+        .catch((e) => { throw new ReloadError(400, 'invalid_upload', e.message) })
+      const info = {version, ...saved, signed, uploadedAt: new Date().toISOString()}
+      await fs.writeFile(versionFile(version), JSON.stringify(info))
+      try {
+        await activate(version)
+      } catch (e) {
+        await removeVersion(version)
+        throw e
+      }
+      await pruneVersions()
+      return info
+    } catch (e) {
+      await spawnp('rm', ['-rf', versionDir(version)]).promise
+      throw e
+    } finally {
+      await spawnp('rm', ['-f', tarball]).promise
+    }
+  }
+
+  // Runs one reload operation at a time.
+  function exclusively(handler) {
+    return async (req, res) => {
       if (!(res.locals && res.locals.isReloadOkay)) {
-        return res.status(401)
-          .send(JSON.stringify(
-            {error: {message: 'res.locals.isReloadOkay is not defined or is false'}}, null, 2)+'\n')
-          .end()
+        return sendJson(res, 401, {error: {
+          code: 'reload_not_allowed', message: 'res.locals.isReloadOkay is not defined or is false'
+        }})
       }
-      await overwriteFiles(log, writeablePath, req)
-      purgeCache(log, writeablePath)
-      await resetApp()
-      log('reloaded.')
-      next()
-    })
-    app.post(url, after)
-    app.delete(url, async (req, res, next) => {
-      await spawnp('rm', ['-rf', writeablePath]).promise
-      log(`cleared ${writeablePath}.`)
-      await copyFiles(writeablePath)
-      purgeCache(log, writeablePath)
-      await resetApp()
-      res.send(`${(new Date()).toISOString()}: Code reset.\n`).end()
-    })
+      if (reloading) {
+        return sendJson(res, 409, {error: {
+          code: 'reload_in_progress', message: 'another reload is in progress'
+        }})
+      }
+      reloading = handler(req)
+      try {
+        sendJson(res, 200, await reloading)
+      } catch (e) {
+        if (!(e instanceof ReloadError)) { log.error('reload failed', {err: e}) }
+        sendJson(res, e.status || 500,
+          {error: {code: e.code || 'reload_failed', message: e.message}})
+      } finally {
+        reloading = undefined
+      }
+    }
+  }
+
+  function addReloadRoutes(target) {
+    target.get(url, before, exclusively(async () => ({
+      activeVersion, versions: await listVersions()
+    })))
+    target.post(url, before, exclusively(async (req) => ({
+      ...await upload(req), activeVersion
+    })))
+    target.post(`${url}/versions/:version/activate`, before, exclusively(async (req) => {
+      const version = parseInt(req.params.version)
+      if (!/^\d+$/.test(req.params.version) ||
+          !(await listVersions()).some(v => v.version === version)) {
+        throw new ReloadError(404, 'unknown_version', `no version ${req.params.version}`)
+      }
+      await activate(version)
+      return {activeVersion}
+    }))
+    target.delete(url, before, exclusively(async () => {
+      await activate(0)
+      return {activeVersion}
+    }))
+  }
+
+  // Reloads the app from `watchPath` once changes to its .js and .json files have stopped for
+  // `debounceMs`. If the new app fails to load, the error is logged and the previous app keeps
+  // serving until the next change. Directories created after startup aren't watched.
+  async function watchFiles() {
+    let timer = undefined
+    let reloads = Promise.resolve()
+    const reload = async () => {
+      purgeCache(log)
+      try {
+        await loadApp()
+        log('reloaded.')
+      } catch (e) {
+        log.error('reload failed; still serving the previous app', {err: e})
+      }
+    }
+    const onChange = (event, filename) => {
+      if (filename && !/\.(js|json)$/.test(filename)) { return }
+      clearTimeout(timer)
+      timer = setTimeout(() => { reloads = reloads.then(reload) }, debounceMs)
+    }
+    for (const dir of await listDirectories(watchPath)) {
+      watchers.push(fsSync.watch(dir, onChange))
+    }
+    log(`Watching ${watchPath} for changes.`)
+  }
+
+  if (watchEnabled && liveReloadEnabled) {
+    throw new Error('watching files and live code reloading can\'t be combined')
   }
 
   // Start with a clean slate.
-  await spawnp('rm', ['-rf', writeablePath]).promise
+  await spawnp('rm', ['-rf', writeablePath, versionsPath]).promise
 
   if (liveReloadEnabled) {
     // There appears to be some internal state in Node's require that prefers to load files from
     // where they were found last time, so if we want to be able to load them from a writeable
     // directory, we need to place them there before the first call to `require`.
-    await copyFiles(writeablePath)
-    await resetApp()
+    await copyFiles(versionDir(0))
+    await fs.writeFile(versionFile(0), JSON.stringify(
+      {version: 0, deployed: true, uploadedAt: new Date().toISOString()}))
+    await checkout(0)
+    await loadApp()
     log('Live code reloading enabled.')
   } else {
-    app = await require(mainPath)
-    logRequireCache(log)
+    await loadApp()
   }
+  if (watchEnabled) { await watchFiles() }
 
-  const server = http.createServer((req, res) => {
-    app(req, res)
+  function handleRequest(req, res) {
+    const current = app
+    const socket = req.socket
+    appRequests.set(current, (appRequests.get(current) || 0) + 1)
+    connections.set(socket, (connections.get(socket) || 0) + 1)
+    if (shuttingDown) { res.setHeader('Connection', 'close') }
+    let finished = false
+    const onFinished = () => {
+      if (finished) { return }
+      finished = true
+      appRequests.set(current, appRequests.get(current) - 1)
+      if (connections.has(socket)) {
+        connections.set(socket, connections.get(socket) - 1)
+        if (shuttingDown && connections.get(socket) === 0) { socket.end() }
+      }
+      closeIfRetired(current)
+    }
+    res.on('finish', onFinished)
+    res.on('close', onFinished)
+    current(req, res)
+  }
+
+  const server = http.createServer(handleRequest)
+  server.on('connection', (socket) => {
+    connections.set(socket, 0)
+    socket.on('close', () => { connections.delete(socket) })
   })
+
+  const requestsInFlight = () => [...appRequests.values()].reduce((a, b) => a + b, 0)
+
+  // Stops accepting connections, closes idle keep-alive connections, waits up to
+  // `shutdownTimeoutMs` for requests in flight to finish, and then closes the apps.
+  async function shutdown(signal) {
+    if (shuttingDown) { return }
+    shuttingDown = true
+    log(`${signal} received; draining ${requestsInFlight()} requests.`)
+    watchers.forEach(w => w.close())
+    server.close()
+    for (const [socket, count] of connections) {
+      if (count === 0) { socket.end() }
+    }
+    const deadline = Date.now() + shutdownTimeoutMs
+    while (requestsInFlight() > 0 && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, 50))
+    }
+    if (requestsInFlight() > 0) {
+      log.warn(`shutdown deadline passed with ${requestsInFlight()} requests in flight`)
+      for (const socket of connections.keys()) { socket.destroy() }
+    }
+    await Promise.all([app, ...appRequests.keys()].map(closeApp))
+    log('shutdown complete.')
+    // Anything else still holding the event loop open shouldn't delay the exit.
+    setTimeout(() => process.exit(0), 1000).unref()
+  }
+
+  process.once('SIGTERM', () => { shutdown('SIGTERM') })
+  process.once('SIGINT', () => { shutdown('SIGINT') })
   server.listen(port)
 }
 
+// For local development, `--watch` (or DEV_WATCH=true) reloads the app when files in src/ change.
 main({
-  liveReloadEnabled: false,
+  liveReloadEnabled: process.env.LIVE_RELOAD_ENABLED === 'true',
+  watchEnabled: process.argv.includes('--watch') || process.env.DEV_WATCH === 'true',
+  watchPath: path.resolve(__dirname),
+  shutdownTimeoutMs: parseInt(process.env.SHUTDOWN_TIMEOUT_MS) || undefined,
   writeablePath: '/tmp/aelivedev',
+  versionsPath: '/tmp/aelivedev-versions',
+  publicKeyFile: process.env.LIVE_RELOAD_PUBLIC_KEY_FILE,
   mainPath: 'server',
   url: '/.src',
   port: process.env.PORT || 8080,
@@ -0,0 +1,155 @@
+const _ = require('lodash/fp')
+const defaultLog = require('./log')
+const u = require('./utils')
+
+// Helpers for JSON Web Key Sets: converting RSA JWKs to PEM (jsonwebtoken needs PEM, and this
+// Node version can't import JWKs directly) and caching key sets by key ID.
+
+function derLength(length) {
+  if (length < 0x80) { return Buffer.from([length]) }
+  const bytes = []
+  for (let n = length; n > 0; n = n >> 8) { bytes.unshift(n & 0xff) }
+  return Buffer.from([0x80 | bytes.length, ...bytes])
+}
+
+function der(tag, contents) {
+  return Buffer.concat([Buffer.from([tag]), derLength(contents.length), contents])
+}
+
+function derUnsignedInteger(bytes) {
+  // A leading 1 bit would make the integer negative.
+  return der(0x02, bytes[0] & 0x80 ? Buffer.concat([Buffer.from([0]), bytes]) : bytes)
+}
+
+function base64UrlToBuffer(s) {
+  return Buffer.from(s.replace(/-/g, '+').replace(/_/g, '/'), 'base64')
+}
+
+const rsaEncryptionOid = Buffer.from([0x2a, 0x86, 0x48, 0x86, 0xf7, 0x0d, 0x01, 0x01, 0x01])
+
+function jwkToPem(jwk) {
+  if (jwk.kty !== 'RSA') { throw new Error(`unsupported JWK key type: ${jwk.kty}`) }
+  const rsaPublicKey = der(0x30, Buffer.concat([
+    derUnsignedInteger(base64UrlToBuffer(jwk.n)), derUnsignedInteger(base64UrlToBuffer(jwk.e))
+  ]))
+  const spki = der(0x30, Buffer.concat([
+    der(0x30, Buffer.concat([der(0x06, rsaEncryptionOid), Buffer.from([0x05, 0x00])])),
+    der(0x03, Buffer.concat([Buffer.from([0]), rsaPublicKey]))
+  ]))
+  const lines = spki.toString('base64').match(/.{1,64}/g)
+  return ['-----BEGIN PUBLIC KEY-----', ...lines, '-----END PUBLIC KEY-----', ''].join('\n')
+}
+
+// Returns a map of key ID to PEM for the RSA signing keys in a JWKS document.
+function parseJwks(doc) {
+  const keys = _.filter(k => k.kty === 'RSA' && (!k.use || k.use === 'sig'))(doc.keys || [])
+  return _.fromPairs(_.map(k => [k.kid, jwkToPem(k)])(keys))
+}
+
+function parseMaxAge(cacheControl) {
+  const match = /max-age=(\d+)/.exec(cacheControl || '')
+  return match ? parseInt(match[1]) : undefined
+}
+
+// Fetches a JWKS document. Resolves to {keys, maxAgeSeconds}, where maxAgeSeconds comes from the
+// response's Cache-Control header, if any.
+async function fetchJwks(jwksUrl) {
+  const url = new URL(jwksUrl)
+  const res = await u.httpreq({
+    tls: url.protocol !== 'http:',
+    hostname: url.hostname,
+    port: url.port || undefined,
+    path: url.pathname + url.search
+  }).resp
+  const body = (await u.slurpStream(res)).toString()
+  if (res.statusCode !== 200) {
+    throw new Error(`failed to fetch JWKS from ${jwksUrl}: ${res.statusCode}`)
+  }
+  return {
+    keys: parseJwks(JSON.parse(body)),
+    maxAgeSeconds: parseMaxAge(res.headers['cache-control'])
+  }
+}
+
+// Caches the keys returned by `load` (a function resolving to {keys, maxAgeSeconds}, where keys
+// maps key ID to PEM):
+// - Keys expire after their max age (or `ttlSeconds`). Once `refreshAheadFraction` of that time
+//   has passed, they are reloaded in the background while the cached keys keep being served.
+// - If a reload fails after the keys expire, the expired keys are served for up to
+//   `maxStaleSeconds` more, so a brief outage of the key host doesn't fail verification.
+// - Asking for an unknown key ID (e.g., during a key rotation) reloads the keys, but no more
+//   often than every `minRefreshSeconds`.
+// A token without a key ID matches the only key, if there is just one. A key stored under
+// `wildcardKid` (e.g., a PEM, which has no key ID) matches any key ID.
+const wildcardKid = '*'
+
+function createKeyCache(load, opts = {}) {
+  const {
+    ttlSeconds = 3600,
+    minRefreshSeconds = 60,
+    refreshAheadFraction = 0.8,
+    maxStaleSeconds = 24 * 3600,
+    log = defaultLog.warn
+  } = opts
+  let cached = undefined
+  let inFlight = undefined
+
+  function refresh() {
+    if (!inFlight) {
+      inFlight = load().then((loaded) => {
+        const now = Date.now()
+        const maxAgeMs = 1000 * (loaded.maxAgeSeconds || ttlSeconds)
+        cached = {
+          keys: loaded.keys,
+          loadedAt: now,
+          refreshAt: now + refreshAheadFraction * maxAgeMs,
+          expiresAt: now + maxAgeMs
+        }
+        return cached
+      }).finally(() => { inFlight = undefined })
+    }
+    return inFlight
+  }
+
+  function selectKey(keys, kid) {
+    if (kid !== undefined) { return keys[kid] || keys[wildcardKid] }
+    const kids = Object.keys(keys)
+    return kids.length === 1 ? keys[kids[0]] : undefined
+  }
+
+  // Resolves to the cached keys, reloading them first if they have expired, or when `wantReload`
+  // says the cached keys won't do.
+  async function freshKeys(wantReload) {
+    const now = Date.now()
+    if (!cached) {
+      await refresh()
+    } else if (now >= cached.expiresAt) {
+      try {
+        await refresh()
+      } catch (e) {
+        if (now >= cached.expiresAt + 1000 * maxStaleSeconds) { throw e }
+        log(`Serving expired keys after failing to reload them: ${e.message}`)
+      }
+    } else if (wantReload(cached.keys) && now - cached.loadedAt >= 1000 * minRefreshSeconds) {
+      await refresh()
+    } else if (now >= cached.refreshAt) {
+      refresh().catch((e) => { log(`Background key reload failed: ${e.message}`) })
+    }
+    return cached.keys
+  }
+
+  async function getKey(kid) {
+    const key = selectKey(await freshKeys(keys => !selectKey(keys, kid)), kid)
+    if (!key) { throw new Error(`no key found for key ID: ${kid}`) }
+    return key
+  }
+
+  // All the keys, by key ID.
+  function getKeys() {
+    return freshKeys(() => false)
+  }
+
+  return {getKey, getKeys, refresh}
+}
+
+module.exports = {jwkToPem, parseJwks, fetchJwks, createKeyCache, wildcardKid}
@@ -0,0 +1,55 @@
+const _ = require('lodash/fp')
+const log = require('./log')
+const services = require('./services')
+
+// Resources shared across requests for the life of the loaded app: one storage adapter, and so
+// one connection pool, per environment. `close` releases them at shutdown (see index.js).
+
+// When a config refresh changes an environment's storage settings, requests already running may
+// still be using the old adapter, so it's closed after this delay.
+const retireDelayMs = 60 * 1000
+
+const storages = new Map()
+const retired = new Set()
+let closed = undefined
+
+function closeQuietly(storage) {
+  return storage.close().catch((e) => { log.error('failed to close storage', {err: e}) })
+}
+
+function retire(storage) {
+  const entry = {storage}
+  entry.timer = setTimeout(() => {
+    retired.delete(entry)
+    closeQuietly(storage)
+  }, retireDelayMs)
+  entry.timer.unref()
+  retired.add(entry)
+}
+
+// The environment's storage, created on first use.
+function storageFor(envName, envConfig) {
+  if (closed) { throw new Error('storage is closed for shutdown') }
+  const configKey =
+    JSON.stringify(_.pick(['storage', 'cloudSqlInstance', 'dbPassword'])(envConfig))
+  const entry = storages.get(envName)
+  if (entry && entry.configKey === configKey) { return entry.storage }
+  if (entry) { retire(entry.storage) }
+  const storage = services.storageFromConfig(envConfig)
+  storages.set(envName, {configKey, storage})
+  return storage
+}
+
+// Closes every environment's storage. Later calls resolve when the first finishes.
+function close() {
+  if (!closed) {
+    const all = [..._.map('storage')([...storages.values()]), ..._.map('storage')([...retired])]
+    for (const entry of retired) { clearTimeout(entry.timer) }
+    storages.clear()
+    retired.clear()
+    closed = Promise.all(_.map(closeQuietly)(all)).then(() => undefined)
+  }
+  return closed
+}
+
+module.exports = {storageFor, close}
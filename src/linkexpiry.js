@@ -0,0 +1,73 @@
+const nihlinks = require('./nihlinks')
+
+// Finds NIH links that have expired or will expire within `warningSeconds`, and notifies the
+// configured webhooks once per link:
+// - nih_link.expiring: the link expires within the warning window.
+// - nih_link.expired: the link has expired. An `expired` event is also added to the user's link
+//   history.
+// Each notice is claimed in the LINK_EXPIRY_NOTICE table, outside the profile, for the
+// linkExpireTime it's sent for, so relinking (which sets a new linkExpireTime) re-arms both. A
+// notice is claimed, queued and recorded in one transaction, so it's queued once even if a run
+// fails partway. Links that expired more than `lookbackSeconds` ago were handled by earlier runs,
+// so aren't checked again. Then delivers whatever is due in the webhook outbox, including retries
+// from earlier runs. Safe to run as often as wanted.
+const pageSize = 500
+
+module.exports = async function linkExpirySweep({ekvdb, webhooks, transaction}, opts = {}) {
+  const {
+    now = Date.now(),
+    warningSeconds = 7 * 24 * 60 * 60,
+    lookbackSeconds = 30 * 24 * 60 * 60,
+    log = () => {}
+  } = opts
+
+  const startTime = Date.now()
+  const nowSeconds = Math.floor(now / 1000)
+  const report = {checked: 0, warned: 0, expired: 0, failures: []}
+
+  // Resolves to 'warned', 'expired', or undefined if nothing was sent.
+  function notify({userId, linkedNihUsername, linkExpireTime}) {
+    return transaction(async ({storage, ekvdb, linkHistory, webhooks}) => {
+      const plain = ekvdb.toPlain(await ekvdb.getPairs(userId))
+      // The link may have changed since the scan.
+      if (plain.linkExpireTime !== linkExpireTime) { return undefined }
+      const data = {
+        userId,
+        eraCommonsUsername: linkedNihUsername,
+        linkExpireTime: new Date(1000 * linkExpireTime).toISOString()
+      }
+      const expired = linkExpireTime <= nowSeconds
+      const notice = expired ? 'nih_link.expired' : 'nih_link.expiring'
+      if (!await storage.claimLinkExpiryNotice(
+        {USER_ID: userId, NOTICE: notice, LINK_EXPIRE_TIME: linkExpireTime, SENT_AT: now})) {
+        return undefined
+      }
+      await webhooks.enqueue(notice, data, now)
+      if (!expired) { return 'warned' }
+      await linkHistory.record(userId, 'expired', {eraCommonsUsername: linkedNihUsername}, now)
+      return 'expired'
+    })
+  }
+
+  let cursor
+  do {
+    const page = await nihlinks(ekvdb).listExpiring(
+      nowSeconds - lookbackSeconds, nowSeconds + warningSeconds, {limit: pageSize, cursor})
+    for (const link of page.links) {
+      report.checked++
+      try {
+        const sent = await notify(link)
+        if (sent) { report[sent]++ }
+      } catch (e) {
+        report.failures.push({userId: link.userId, message: e.message})
+      }
+    }
+    cursor = page.cursor
+  } while (cursor)
+  log(`link expiry: checked ${report.checked} links, ${report.warned} warned,` +
+    ` ${report.expired} expired`)
+
+  report.deliveries = await webhooks.deliverDue({now})
+  report.elapsedMs = Date.now() - startTime
+  return report
+}
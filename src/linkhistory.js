@@ -0,0 +1,59 @@
+const nodeCrypto = require('crypto')
+const _ = require('lodash/fp')
+const log = require('./log')
+const metrics = require('./metrics')
+
+// Append-only record of NIH link and unlink events. The event details (eRA Commons username,
+// token claims, IP address and user agent) identify the user, so they are encrypted like profile
+// values, bound to the user ID.
+module.exports = function(crypto, storage) {
+
+  const detailsAad = (userId) => [userId, 'LINK_HISTORY']
+
+  // `details` may include eraCommonsUsername, tokenIat, tokenJti, ip and userAgent.
+  async function record(userId, eventType, details, eventTime = Date.now()) {
+    const {storedValue} = crypto.encryptValue(detailsAad(userId), JSON.stringify(details))
+    const event = {
+      USER_ID: userId,
+      EVENT_TIME: eventTime,
+      EVENT_ID: nodeCrypto.randomBytes(12).toString('hex'),
+      EVENT_TYPE: eventType,
+      DETAILS: storedValue
+    }
+    await storage.appendLinkEvent(event)
+    return toPlainEvent(event, details)
+  }
+
+  function toPlainEvent(event, details) {
+    return {
+      eventId: event.EVENT_ID,
+      eventType: event.EVENT_TYPE,
+      eventTime: new Date(parseInt(event.EVENT_TIME)).toISOString(),
+      ...details
+    }
+  }
+
+  function decryptDetails(event) {
+    try {
+      return JSON.parse(
+        crypto.decryptValue(detailsAad(event.USER_ID), undefined, event.DETAILS).value)
+    } catch (e) {
+      log.error('failed to decrypt link history event', {eventId: event.EVENT_ID, err: e})
+      metrics.decryptFailures.inc({table: 'LINK_HISTORY'})
+      return {decryptError: e.message}
+    }
+  }
+
+  // Returns the user's events, oldest first.
+  async function list(userId) {
+    const events = await storage.getLinkEvents(userId)
+    return _.map(e => toPlainEvent(e, decryptDetails(e)))(events)
+  }
+
+  return {record, list}
+}
+
+// The caller details recorded with each event.
+module.exports.requestDetails = function(req) {
+  return {ip: req.ip, userAgent: req.headers['user-agent']}
+}
@@ -0,0 +1,93 @@
+const _ = require('lodash/fp')
+
+// Structured logging in the format Cloud Logging reads from stdout: one JSON object per line, with
+// `severity` and `message` and any other fields as the entry's payload. Every entry is redacted
+// first, so bearer tokens, keys, passwords and decrypted values never reach the logs:
+// - Fields whose names look sensitive (see `sensitiveKey`) are replaced entirely.
+// - Strings are scrubbed of anything that looks like a bearer token, JWT, OAuth access token or
+//   PEM private key, wherever it appears.
+// Use the logger from `req.log` in request handlers, so entries carry the request ID and trace.
+
+const redacted = '[REDACTED]'
+
+const sensitiveKey = new RegExp([
+  '^authorization$', '^cookie$', '^set-cookie$', '^proxy-authorization$',
+  'token', 'secret', 'password', 'passwd', 'credential', 'private',
+  'base64$', '^encryptionkeys$', '^jti$',
+  // Decrypted profile values and request bodies that carry them.
+  '^value$', '^values$', '^changes$', '^pairs$', '^plain$', '^body$', '^payload$'
+].join('|'), 'i')
+
+const sensitivePatterns = [
+  [/\bBearer\s+[^\s"',]+/gi, `Bearer ${redacted}`],
+  [/\beyJ[\w-]+\.[\w-]+\.[\w-]*/g, redacted],
+  [/\bya29\.[\w.-]+/g, redacted],
+  [/-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g, redacted]
+]
+
+function redactString(s) {
+  return _.reduce((r, [pattern, replacement]) => r.replace(pattern, replacement))(s)(
+    sensitivePatterns)
+}
+
+// Returns a copy of `value` with sensitive fields and strings replaced.
+function redact(value, depth = 0) {
+  if (_.isString(value)) { return redactString(value) }
+  if (value instanceof Error) { return redact(errorFields(value), depth) }
+  if (depth > 8) { return '[TRUNCATED]' }
+  if (_.isArray(value)) { return _.map(v => redact(v, depth + 1))(value) }
+  if (_.isPlainObject(value)) {
+    return _.fromPairs(_.map(k => [
+      k, sensitiveKey.test(k) && value[k] !== undefined ? redacted : redact(value[k], depth + 1)
+    ])(_.keys(value)))
+  }
+  return value
+}
+
+// The parts of an error worth logging. Errors may carry request or response objects (with their
+// headers), so nothing else is copied.
+function errorFields(err) {
+  return _.omitBy(_.isUndefined)({
+    name: err.name, message: err.message, code: err.code, stack: err.stack
+  })
+}
+
+const severities = {debug: 'DEBUG', info: 'INFO', warn: 'WARNING', error: 'ERROR'}
+
+function writeStdout(line) {
+  process.stdout.write(line + '\n')
+}
+
+// A logger is a function, `log(message, fields)`, logging at INFO. It also has debug, info, warn
+// and error methods taking the same arguments, and `child(fields)`, which returns a logger that
+// adds `fields` to every entry. An `err` field holding an Error is logged as its name, message,
+// code and stack, which Error Reporting picks up from `stack_trace`.
+function createLogger(baseFields = {}, write = writeStdout) {
+
+  function entry(severity, message, fields = {}) {
+    const {err, ...rest} = fields
+    const errFields = err ? {
+      error: redact(_.omit(['stack'])(errorFields(err))),
+      stack_trace: redactString(err.stack || '')
+    } : {}
+    write(JSON.stringify({
+      severity,
+      message: redactString(String(message)),
+      time: new Date().toISOString(),
+      ...redact({...baseFields, ...rest}),
+      ...errFields
+    }))
+  }
+
+  const logger = (message, fields) => entry(severities.info, message, fields)
+  for (const name of _.keys(severities)) {
+    logger[name] = (message, fields) => entry(severities[name], message, fields)
+  }
+  logger.child = (fields) => createLogger({...baseFields, ...fields}, write)
+  return logger
+}
+
+module.exports = createLogger()
+module.exports.createLogger = createLogger
+module.exports.redact = redact
+module.exports.errorFields = errorFields
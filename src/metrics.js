@@ -0,0 +1,104 @@
+const _ = require('lodash/fp')
+
+// Process-wide metrics, served in the Prometheus text format at /metrics. Counters and histograms
+// take labels as an object; keep label values to small, fixed sets (route patterns, not paths).
+
+const defaultBuckets = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]
+
+const registry = new Map()
+
+function labelKey(labels) {
+  return JSON.stringify(_.toPairs(labels).sort())
+}
+
+function escapeLabelValue(v) {
+  return String(v).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"')
+}
+
+function formatLabels(labels, extra = {}) {
+  const pairs = _.toPairs({...labels, ...extra})
+  if (pairs.length === 0) { return '' }
+  return `{${pairs.map(([k, v]) => `${k}="${escapeLabelValue(v)}"`).join(',')}}`
+}
+
+function register(name, metric) {
+  if (registry.has(name)) { return registry.get(name) }
+  registry.set(name, metric)
+  return metric
+}
+
+function counter(name, help) {
+  const values = new Map()
+  return register(name, {
+    inc(labels = {}, n = 1) {
+      const key = labelKey(labels)
+      const entry = values.get(key) || {labels, value: 0}
+      entry.value += n
+      values.set(key, entry)
+    },
+    render() {
+      return [
+        `# HELP ${name} ${help}`, `# TYPE ${name} counter`,
+        ...[...values.values()].map(e => `${name}${formatLabels(e.labels)} ${e.value}`)
+      ]
+    }
+  })
+}
+
+function histogram(name, help, buckets = defaultBuckets) {
+  const values = new Map()
+  const metric = register(name, {
+    observe(labels, seconds) {
+      const key = labelKey(labels)
+      const entry = values.get(key) ||
+        {labels, counts: buckets.map(() => 0), sum: 0, count: 0}
+      buckets.forEach((b, i) => { if (seconds <= b) { entry.counts[i]++ } })
+      entry.sum += seconds
+      entry.count++
+      values.set(key, entry)
+    },
+    // Starts a timer; call the returned function to observe the elapsed time.
+    startTimer(labels = {}) {
+      const start = process.hrtime()
+      return (moreLabels = {}) => {
+        const [s, ns] = process.hrtime(start)
+        metric.observe({...labels, ...moreLabels}, s + ns / 1e9)
+      }
+    },
+    render() {
+      return [
+        `# HELP ${name} ${help}`, `# TYPE ${name} histogram`,
+        ..._.flatMap(e => [
+          ...buckets.map((b, i) =>
+            `${name}_bucket${formatLabels(e.labels, {le: b})} ${e.counts[i]}`),
+          `${name}_bucket${formatLabels(e.labels, {le: '+Inf'})} ${e.count}`,
+          `${name}_sum${formatLabels(e.labels)} ${e.sum}`,
+          `${name}_count${formatLabels(e.labels)} ${e.count}`
+        ])([...values.values()])
+      ]
+    }
+  })
+  return metric
+}
+
+function render() {
+  return _.flatMap(m => m.render())([...registry.values()]).join('\n') + '\n'
+}
+
+module.exports = {
+  counter, histogram, render,
+  httpRequestDuration: histogram('profile_http_request_duration_seconds',
+    'HTTP request latency by method, route and status.'),
+  dbQueryDuration: histogram('profile_db_query_duration_seconds',
+    'Database query latency by operation and table.'),
+  decryptFailures: counter('profile_decrypt_failures_total',
+    'Stored values that failed to decrypt, by table.'),
+  decodeFailures: counter('profile_decode_failures_total',
+    'Profile values that decrypted but failed to decode as their key\'s type, by key.'),
+  tokenInfoRequests: counter('profile_tokeninfo_requests_total',
+    'Google access token checks, by result: cache_hit, valid or invalid.'),
+  nihLinkAttempts: counter('profile_nih_link_attempts_total',
+    'NIH link attempts, by result: success or an error code.'),
+  rateLimitedRequests: counter('profile_rate_limited_requests_total',
+    'Requests refused by a rate limit, by route and kind: perUser or perIp.')
+}
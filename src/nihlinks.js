@@ -0,0 +1,64 @@
+const _ = require('lodash/fp')
+
+// Queries across all users' NIH links, for support staff. Usernames are looked up by their blind
+// index. Other values are encrypted, so those queries scan and decrypt every stored value of the
+// relevant key a page at a time.
+module.exports = function(ekvdb) {
+
+  const pageSize = 500
+
+  // Calls `visit` with each page of decrypted values of `key`.
+  async function scanAll(key, visit) {
+    let afterUserId = undefined
+    for (;;) {
+      const page = await ekvdb.scanValues(key, afterUserId, pageSize)
+      if (page.length === 0) { return }
+      await visit(_.filter(_.has('value'))(page))
+      afterUserId = _.last(page).userId
+    }
+  }
+
+  async function linkFor(userId) {
+    const plain = ekvdb.toPlain(await ekvdb.getPairs(userId))
+    return {
+      userId,
+      linkedNihUsername: plain.linkedNihUsername || null,
+      linkExpireTime: plain.linkExpireTime === undefined ? null : plain.linkExpireTime,
+      lastLinkTime: plain.lastLinkTime === undefined ? null : plain.lastLinkTime
+    }
+  }
+
+  // Returns the links to an eRA Commons username (normally at most one). Links made before the
+  // blind index existed are only found once the re-encryption sweep has indexed them.
+  async function findByNihUsername(nihUsername) {
+    const userIds = await ekvdb.findUserIds('linkedNihUsername', nihUsername)
+    return Promise.all(_.map(linkFor)(userIds))
+  }
+
+  // Returns up to `limit` of the links expiring in [from, to) (Unix seconds), soonest first, after
+  // `cursor`: {links, cursor}. The returned cursor, {linkExpireTime, userId}, is set if there may
+  // be more. Each call scans every expiry time, keeping only the next `limit`, then reads those
+  // links one at a time.
+  async function listExpiring(from, to, {limit = 100, cursor} = {}) {
+    const isAfterCursor = v => !cursor || v.value > cursor.linkExpireTime ||
+      (v.value === cursor.linkExpireTime && v.userId > cursor.userId)
+    let next = []
+    await scanAll('linkExpireTime', async (page) => {
+      const matches = _.filter(v => v.value >= from && v.value < to && isAfterCursor(v))(page)
+      next = _.take(limit + 1)(_.sortBy(['value', 'userId'])([...next, ...matches]))
+    })
+    const pageValues = _.take(limit)(next)
+    const links = []
+    for (const {userId} of pageValues) {
+      const link = await linkFor(userId)
+      if (link.linkedNihUsername) { links.push(link) }
+    }
+    const last = _.last(pageValues)
+    return {
+      links,
+      cursor: next.length > limit ? {linkExpireTime: last.value, userId: last.userId} : undefined
+    }
+  }
+
+  return {findByNihUsername, listExpiring}
+}
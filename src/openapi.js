@@ -0,0 +1,665 @@
+const _ = require('lodash/fp')
+const profilekeys = require('./profilekeys')
+const schema = require('./schema')
+
+// The service's API contract, served at /openapi.json. Schemas use the subset of JSON Schema that
+// ./schema validates, so `contract` can check requests, and (where enabled) responses, against
+// the same document clients read. Environment routes are relative to each environment's path
+// prefix, which the served document lists as `servers`; app-wide routes override that.
+
+const ref = (name) => ({$ref: `#/components/schemas/${name}`})
+const json = (s) => ({content: {'application/json': {schema: s}}})
+const nullable = (type) => ({type: [type, 'null']})
+
+// The JSON Schemas of the registered profile keys (see ./profilekeys), by key.
+function profileKeySchemas(keys, opts) {
+  return _.fromPairs(_.map(k => [k, profilekeys.jsonSchema(k, opts)])(keys))
+}
+
+const anyValue = {type: ['string', 'integer', 'number', 'boolean', 'object', 'array']}
+
+// The keys an environment's users may write (see profilekeys.userWritableKeys), with their types.
+// Other keys are left to the handler, which refuses them with key_not_writable.
+function profileChangesSchema(envConfig) {
+  return {
+    type: 'object',
+    description: 'Values to set by key; null deletes the key. The writable keys depend on the' +
+      ' environment\'s userWritableKeys.',
+    minProperties: 1,
+    properties: _.mapValues(s => s.type ? {...s, type: [...[].concat(s.type), 'null']} : s)(
+      profileKeySchemas(profilekeys.userWritableKeys(envConfig), {input: true})),
+    additionalProperties: {}
+  }
+}
+
+const schemas = {
+  Error: {
+    type: 'object',
+    required: ['error'],
+    properties: {
+      error: {
+        type: 'object',
+        required: ['code', 'message', 'requestId'],
+        properties: {
+          code: {type: 'string', description: 'Stable; for clients to act on.'},
+          message: {type: 'string', description: 'For people.'},
+          requestId: {type: 'string'}
+        }
+      }
+    }
+  },
+  Profile: {
+    type: 'object',
+    description: 'The user\'s profile values by key. Unregistered keys have string values.',
+    properties: profileKeySchemas(_.keys(profilekeys.keys)),
+    additionalProperties: {type: 'string'}
+  },
+  ProfileChanges: profileChangesSchema({}),
+  ProfileValue: {
+    type: 'object',
+    description: 'A value of the key\'s type (see Profile).',
+    required: ['value'],
+    properties: {value: anyValue}
+  },
+  LinkState: {
+    type: 'object',
+    description: 'The user\'s NIH link. Times are Unix seconds, with human-readable versions.',
+    required: [
+      'linkedNihUsername', 'lastLinkTime', 'lastLinkTimeHuman', 'linkExpireTime',
+      'linkExpireTimeHuman'
+    ],
+    additionalProperties: false,
+    properties: {
+      userId: {type: 'string'},
+      linkedNihUsername: nullable('string'),
+      lastLinkTime: nullable('integer'),
+      lastLinkTimeHuman: nullable('string'),
+      linkExpireTime: nullable('integer'),
+      linkExpireTimeHuman: nullable('string')
+    }
+  },
+  LinkEvent: {
+    type: 'object',
+    description: 'An entry in a user\'s link history, with the details recorded for it.',
+    required: ['eventId', 'eventType', 'eventTime'],
+    properties: {
+      eventId: {type: 'string'},
+      eventType: {enum: ['link', 'unlink', 'expire', 'expired']},
+      eventTime: {type: 'string', description: 'ISO 8601.'},
+      eraCommonsUsername: {type: 'string'},
+      decryptError: {type: 'string'}
+    }
+  },
+  LinkHistory: {
+    type: 'object',
+    required: ['events'],
+    properties: {userId: {type: 'string'}, events: {type: 'array', items: ref('LinkEvent')}}
+  },
+  ExportedValue: {
+    type: 'object',
+    description: 'A profile value, or decryptError, with its metadata.',
+    required: ['lastWrittenAt'],
+    properties: {
+      value: {description: 'As in Profile.'},
+      decryptError: {type: 'string'},
+      decodeError: {type: 'string'},
+      envelopeVersion: {type: 'integer', description: 'The encryption format.'},
+      keyId: {type: 'string', description: 'The ID of the encryption key.'},
+      lastWrittenAt: {
+        ...nullable('string'), description: 'ISO 8601; null if written before change history.'
+      }
+    }
+  },
+  ChangeHistoryEvent: {
+    type: 'object',
+    required: ['version', 'createdAt'],
+    properties: {
+      version: {type: 'integer'},
+      createdAt: {type: 'string', description: 'ISO 8601.'},
+      changes: {
+        type: 'object',
+        description: 'The values as stored (strings), by key; null if deleted.',
+        additionalProperties: nullable('string')
+      },
+      decryptError: {type: 'string'}
+    }
+  },
+  UserExport: {
+    type: 'object',
+    description: 'Everything the service holds about the user.',
+    required: [
+      'userId', 'exportedAt', 'profileVersion', 'values', 'linkHistory', 'changeHistory'
+    ],
+    properties: {
+      userId: {type: 'string'},
+      exportedAt: {type: 'string', description: 'ISO 8601.'},
+      profileVersion: {type: 'integer'},
+      values: {type: 'object', additionalProperties: ref('ExportedValue')},
+      linkHistory: {type: 'array', items: ref('LinkEvent')},
+      changeHistory: {type: 'array', items: ref('ChangeHistoryEvent')}
+    }
+  },
+  ErasureReceipt: {
+    type: 'object',
+    required: ['receiptId', 'userId', 'erasedAt', 'requestedBy', 'deletedRows', 'keptRecords'],
+    properties: {
+      receiptId: {type: 'string'},
+      userId: {type: 'string'},
+      erasedAt: {type: 'string', description: 'ISO 8601.'},
+      requestedBy: {type: 'string', description: '"self", or the admin\'s email address.'},
+      deletedRows: {
+        type: 'object', description: 'Counts by table.', additionalProperties: {type: 'integer'}
+      },
+      keptRecords: {
+        type: 'object', description: 'What was kept and why, by table.',
+        additionalProperties: {type: 'string'}
+      }
+    }
+  },
+  NihLink: {
+    type: 'object',
+    description: 'Times are Unix seconds.',
+    required: ['userId', 'linkedNihUsername', 'linkExpireTime', 'lastLinkTime'],
+    properties: {
+      userId: {type: 'string'},
+      linkedNihUsername: nullable('string'),
+      linkExpireTime: nullable('integer'),
+      lastLinkTime: nullable('integer')
+    }
+  },
+  NihLinksByUsername: {
+    type: 'object',
+    required: ['nihUsername', 'links'],
+    properties: {nihUsername: {type: 'string'}, links: {type: 'array', items: ref('NihLink')}}
+  },
+  ExpiringNihLinks: {
+    type: 'object',
+    required: ['from', 'to', 'links'],
+    properties: {
+      from: {type: 'integer'}, to: {type: 'integer'},
+      links: {type: 'array', items: ref('NihLink')},
+      cursor: {type: 'string', description: 'Set if there may be more; pass it to get them.'}
+    }
+  },
+  Failure: {
+    type: 'object',
+    required: ['message'],
+    properties: {message: {type: 'string'}}
+  },
+  ReencryptCursor: {
+    type: 'object',
+    required: ['userId', 'key'],
+    properties: {userId: {type: 'string'}, key: {type: 'string'}}
+  },
+  ReencryptRequest: {
+    type: 'object',
+    properties: {
+      cursor: ref('ReencryptCursor'),
+      batchSize: {type: 'integer', minimum: 1},
+      maxRows: {type: 'integer', minimum: 1}
+    }
+  },
+  ReencryptReport: {
+    type: 'object',
+    required: [
+      'done', 'scanned', 'reencrypted', 'alreadyCurrent', 'changedConcurrently', 'skipped',
+      'failures', 'elapsedMs'
+    ],
+    properties: {
+      cursor: ref('ReencryptCursor'),
+      done: {type: 'boolean'},
+      scanned: {type: 'integer'},
+      reencrypted: {type: 'integer'},
+      alreadyCurrent: {type: 'integer'},
+      changedConcurrently: {type: 'integer'},
+      skipped: {type: 'integer', description: 'Rows of keys this service doesn\'t own.'},
+      failures: {type: 'array', items: ref('Failure')},
+      elapsedMs: {type: 'integer'}
+    }
+  },
+  LinkExpiryReport: {
+    type: 'object',
+    required: ['checked', 'warned', 'expired', 'failures', 'deliveries', 'elapsedMs'],
+    properties: {
+      checked: {type: 'integer'},
+      warned: {type: 'integer'},
+      expired: {type: 'integer'},
+      failures: {type: 'array', items: ref('Failure')},
+      deliveries: {
+        type: 'object',
+        required: ['delivered', 'retrying', 'failed'],
+        properties: {
+          delivered: {type: 'integer'}, retrying: {type: 'integer'}, failed: {type: 'integer'}
+        }
+      },
+      elapsedMs: {type: 'integer'}
+    }
+  },
+  ChangeEventDispatchReport: {
+    type: 'object',
+    description: 'Counts by subscriber name.',
+    additionalProperties: {
+      type: 'object',
+      required: ['delivered', 'retrying', 'failed', 'waiting'],
+      properties: {
+        delivered: {type: 'integer'}, retrying: {type: 'integer'}, failed: {type: 'integer'},
+        waiting: {type: 'integer'}
+      }
+    }
+  },
+  ChangeEventCursor: {
+    type: 'object',
+    required: ['userId', 'seq'],
+    properties: {userId: {type: 'string'}, seq: {type: 'integer'}}
+  },
+  ChangeEventReplayRequest: {
+    type: 'object',
+    required: ['subscriber'],
+    properties: {
+      subscriber: {type: 'string'},
+      since: {type: ['string', 'integer'], description: 'ISO 8601 or Unix seconds.'},
+      cursor: ref('ChangeEventCursor')
+    }
+  },
+  ChangeEventReplayReport: {
+    type: 'object',
+    required: ['done', 'scanned', 'queued', 'failures'],
+    properties: {
+      cursor: ref('ChangeEventCursor'),
+      done: {type: 'boolean'},
+      scanned: {type: 'integer'},
+      queued: {type: 'integer'},
+      failures: {type: 'array', items: ref('Failure')}
+    }
+  },
+  Health: {
+    type: 'object',
+    required: ['status'],
+    properties: {status: {enum: ['ok']}}
+  },
+  Readiness: {
+    type: 'object',
+    required: ['status', 'checks'],
+    properties: {
+      status: {enum: ['ready', 'not_ready']},
+      checks: {
+        type: 'object',
+        additionalProperties: {
+          type: 'object',
+          required: ['ok', 'latencyMs'],
+          properties: {
+            ok: {type: 'boolean'}, latencyMs: {type: 'integer'}, error: {type: 'string'}
+          }
+        }
+      }
+    }
+  },
+  CodeVersion: {
+    type: 'object',
+    required: ['version', 'uploadedAt'],
+    properties: {
+      version: {type: 'integer', description: '0 is the deployed code.'},
+      sha256: {type: 'string'},
+      size: {type: 'integer'},
+      signed: {type: 'boolean'},
+      deployed: {type: 'boolean'},
+      uploadedAt: {type: 'string'},
+      active: {type: 'boolean'}
+    }
+  },
+  CodeVersions: {
+    type: 'object',
+    required: ['activeVersion'],
+    properties: {
+      activeVersion: {type: 'integer'},
+      versions: {type: 'array', items: ref('CodeVersion')}
+    }
+  },
+  ConfigRefresh: {
+    type: 'object',
+    required: ['refreshedAt'],
+    properties: {refreshedAt: {type: 'string'}}
+  }
+}
+
+const errorResponse = {description: 'An error.', ...json(ref('Error'))}
+
+const rateLimitedResponse = {
+  description: 'Too many requests. Retry after the number of seconds in Retry-After.',
+  headers: {'Retry-After': {schema: {type: 'integer'}}},
+  ...json(ref('Error'))
+}
+
+const googleAuth = [{googleBearer: []}]
+const adminAuth = [{adminPermission: []}]
+const cronAuth = [{appEngineCron: []}]
+
+const pathParam = (name) => ({name, in: 'path', required: true, schema: {type: 'string'}})
+
+function op(operationId, summary, security, response, {responses, ...more} = {}) {
+  return {
+    operationId,
+    summary,
+    ...(security ? {security} : {security: []}),
+    ...more,
+    responses: {
+      200: {description: 'OK.', ...(response.content ? response : json(response))},
+      ...responses,
+      ...(security === googleAuth ? {429: rateLimitedResponse} : {}),
+      default: errorResponse
+    }
+  }
+}
+
+// The caller's profile, with its version as an ETag (see server.js).
+const versionedProfile = {
+  headers: {ETag: {schema: {type: 'string'}, description: 'The profile version, e.g., "12".'}},
+  ...json(ref('Profile'))
+}
+
+// Writes that If-Match can make conditional on the profile version.
+const conditionalWrite = {
+  parameters: [{
+    name: 'If-Match', in: 'header', schema: {type: 'string'},
+    description: 'ETags from GET /me; the write fails with 412 unless the profile is at one of ' +
+      'their versions.'
+  }],
+  responses: {
+    412: {
+      description: 'The profile has changed. ETag has its current version.',
+      ...json(ref('Error'))
+    }
+  }
+}
+
+// Served at the root path rather than under an environment's prefix.
+const appWide = {servers: [{url: '/'}]}
+
+const paths = {
+  '/me': {
+    get: op('getMe', 'Get the caller\'s profile.', googleAuth, versionedProfile),
+    patch: op('patchMe', 'Set or delete several profile values at once.', googleAuth,
+      versionedProfile,
+      {...conditionalWrite, requestBody: {required: true, ...json(ref('ProfileChanges'))}}),
+    delete: op('deleteMe',
+      'Erase everything stored about the caller, and return the erasure receipt.', googleAuth,
+      ref('ErasureReceipt'))
+  },
+  '/me/export': {
+    get: op('getMeExport', 'Export everything stored about the caller.', googleAuth,
+      ref('UserExport'))
+  },
+  '/me/link-history': {
+    get: op('getMeLinkHistory', 'List the caller\'s NIH link events, oldest first.', googleAuth,
+      ref('LinkHistory'))
+  },
+  '/me/nih-link': {
+    delete: op('deleteMeNihLink', 'Unlink the caller\'s eRA Commons account.', googleAuth,
+      ref('LinkState'))
+  },
+  '/me/{key}': {
+    parameters: [pathParam('key')],
+    put: op('putMeKey', 'Set one profile value.', googleAuth, versionedProfile,
+      {...conditionalWrite, requestBody: {required: true, ...json(ref('ProfileValue'))}}),
+    delete: op('deleteMeKey', 'Delete one profile value.', googleAuth, versionedProfile,
+      conditionalWrite)
+  },
+  '/shibboleth-token': {
+    post: op('postShibbolethToken',
+      'Link the caller\'s eRA Commons account with a JWT issued by the Shibboleth service.',
+      googleAuth, ref('LinkState'), {
+        requestBody: {required: true, content: {'text/plain': {schema: {type: 'string'}}}}
+      })
+  },
+  '/admin/reencrypt': {
+    post: op('reencrypt', 'Re-encrypt stored values under the active key.', adminAuth,
+      ref('ReencryptReport'), {requestBody: json(ref('ReencryptRequest'))})
+  },
+  '/admin/users/{userId}': {
+    parameters: [pathParam('userId')],
+    delete: op('eraseUser', 'Erase everything stored about a user.', adminAuth,
+      ref('ErasureReceipt'))
+  },
+  '/admin/users/{userId}/link-history': {
+    parameters: [pathParam('userId')],
+    get: op('getUserLinkHistory', 'List a user\'s NIH link events.', adminAuth,
+      ref('LinkHistory'))
+  },
+  '/admin/nih-links': {
+    get: op('findNihLinks', 'Find the accounts linked to an eRA Commons username.', adminAuth,
+      ref('NihLinksByUsername'), {
+        parameters: [
+          {name: 'nihUsername', in: 'query', required: true, schema: {type: 'string', minLength: 1}}
+        ]
+      })
+  },
+  '/admin/nih-links/expiring': {
+    get: op('listExpiringNihLinks', 'List NIH links expiring between two times.', adminAuth,
+      ref('ExpiringNihLinks'), {
+        parameters: [
+          {name: 'from', in: 'query', description: 'ISO 8601 or Unix seconds; default now.',
+            schema: {type: 'string'}},
+          {name: 'to', in: 'query', description: 'ISO 8601 or Unix seconds; default from + 7d.',
+            schema: {type: 'string'}},
+          {name: 'limit', in: 'query', description: '1 to 1000; default 100.',
+            schema: {type: 'string', pattern: '^[0-9]+$'}},
+          {name: 'cursor', in: 'query', description: 'The cursor from the previous page.',
+            schema: {type: 'string', pattern: '^[0-9]+:.+$'}}
+        ]
+      })
+  },
+  '/admin/users/{userId}/nih-link/expire': {
+    parameters: [pathParam('userId')],
+    post: op('expireNihLink', 'Expire a user\'s NIH link now.', adminAuth, ref('LinkState'))
+  },
+  '/cron/link-expiry': {
+    get: op('cronLinkExpiry', 'Run the link expiry sweep.', cronAuth, ref('LinkExpiryReport'))
+  },
+  '/admin/link-expiry': {
+    post: op('sweepLinkExpiry', 'Run the link expiry sweep.', adminAuth, ref('LinkExpiryReport'))
+  },
+  '/cron/change-events': {
+    get: op('cronChangeEvents', 'Deliver pending change events.', cronAuth,
+      ref('ChangeEventDispatchReport'))
+  },
+  '/admin/change-events/dispatch': {
+    post: op('dispatchChangeEvents', 'Deliver pending change events.', adminAuth,
+      ref('ChangeEventDispatchReport'))
+  },
+  '/admin/change-events/replay': {
+    post: op('replayChangeEvents', 'Queue past change events for a subscriber.', adminAuth,
+      ref('ChangeEventReplayReport'),
+      {requestBody: {required: true, ...json(ref('ChangeEventReplayRequest'))}})
+  },
+  '/healthz': {
+    ...appWide,
+    get: op('getHealth', 'Liveness.', undefined, ref('Health'))
+  },
+  '/readyz': {
+    ...appWide,
+    get: {
+      ...op('getReadiness', 'Readiness, with the result of each dependency check.', undefined,
+        ref('Readiness')),
+      responses: {
+        200: {description: 'Ready.', ...json(ref('Readiness'))},
+        503: {description: 'Not ready.', ...json(ref('Readiness'))},
+        default: errorResponse
+      }
+    }
+  },
+  '/metrics': {
+    ...appWide,
+    get: op('getMetrics', 'Prometheus metrics.', adminAuth,
+      {content: {'text/plain': {schema: {type: 'string'}}}})
+  },
+  '/openapi.json': {
+    ...appWide,
+    get: op('getOpenApi', 'This document.', undefined, {type: 'object'})
+  },
+  '/admin/config/refresh': {
+    ...appWide,
+    post: op('refreshConfig', 'Reload the configuration.', adminAuth,
+      ref('ConfigRefresh'))
+  }
+}
+
+// Live code reload, when enabled (see index.js).
+const codeReloadPaths = {
+  '/.src': {
+    ...appWide,
+    get: op('listCodeVersions', 'List uploaded code versions.', adminAuth, ref('CodeVersions')),
+    post: op('uploadCode', 'Upload a tarball of the code as a new version and activate it.',
+      adminAuth, ref('CodeVersion'), {
+        parameters: [
+          {name: 'X-Content-SHA256', in: 'header', schema: {type: 'string'}},
+          {name: 'X-Code-Signature', in: 'header', schema: {type: 'string'},
+            description: 'Base64 signature of the tarball; required if a key is configured.'}
+        ],
+        requestBody: {
+          required: true,
+          content: {'application/x-tar': {schema: {type: 'string', format: 'binary'}}}
+        }
+      }),
+    delete: op('resetCode', 'Activate the deployed code.', adminAuth, ref('CodeVersions'))
+  },
+  '/.src/versions/{version}/activate': {
+    ...appWide,
+    parameters: [pathParam('version')],
+    post: op('activateCodeVersion', 'Activate an earlier code version.', adminAuth,
+      ref('CodeVersions'))
+  }
+}
+
+const spec = {
+  openapi: '3.1.0',
+  info: {title: 'Profile Service', version: '1'},
+  paths: {...paths, ...codeReloadPaths},
+  components: {
+    schemas,
+    securitySchemes: {
+      googleBearer: {
+        type: 'http', scheme: 'bearer',
+        description: 'A Google ID token (JWT) or OAuth access token.'
+      },
+      adminPermission: {
+        type: 'http', scheme: 'bearer',
+        description: 'A Google access token for a caller with the appengine.applications.update' +
+          ' permission on the service\'s project.'
+      },
+      appEngineCron: {
+        type: 'apiKey', in: 'header', name: 'X-Appengine-Cron',
+        description: 'Set by App Engine cron; stripped from external requests.'
+      }
+    }
+  }
+}
+
+// The document, with a server for each of the config's enabled environments.
+function document(config) {
+  const envNames = _.filter(n => config.environments[n].enabled !== false)(
+    _.keys(config.environments))
+  return {
+    ...spec,
+    servers: _.map(n => ({url: config.environments[n].pathPrefix || '/', description: n}))(
+      envNames)
+  }
+}
+
+const operations = {}
+for (const [path, item] of _.toPairs(paths)) {
+  for (const method of ['get', 'put', 'post', 'patch', 'delete']) {
+    if (item[method]) {
+      operations[item[method].operationId] =
+        {...item[method], parameters: [...item.parameters || [], ...item[method].parameters || []]}
+    }
+  }
+}
+
+// The spec with ProfileChanges for the environment's writable keys, cached by their list.
+const envSpecs = new Map()
+function specFor(envConfig) {
+  if (!envConfig || !envConfig.userWritableKeys) { return spec }
+  const cacheKey = JSON.stringify(envConfig.userWritableKeys)
+  if (!envSpecs.has(cacheKey)) {
+    envSpecs.set(cacheKey, _.set(['components', 'schemas', 'ProfileChanges'],
+      profileChangesSchema(envConfig))(spec))
+  }
+  return envSpecs.get(cacheKey)
+}
+
+const paramSources = {
+  path: (req, name) => req.params[name],
+  query: (req, name) => req.query[name],
+  header: (req, name) => req.headers[name.toLowerCase()]
+}
+
+// Errors in the request's parameters and JSON body, by the code to report them with.
+function requestErrors(operation, req, envSpec) {
+  const check = (s, value, path) => schema.validate(s, value, path, envSpec)
+  const errors = {}
+  const add = (code, more) => {
+    if (more.length > 0) { errors[code] = [...errors[code] || [], ...more] }
+  }
+  for (const param of operation.parameters) {
+    const value = paramSources[param.in](req, param.name)
+    const code = param.in === 'query' ? 'invalid_query' : 'invalid_request'
+    if (value === undefined) {
+      if (param.required) { add(code, [{path: `/${param.name}`, message: 'is required'}]) }
+    } else {
+      add(code, check(param.schema, value, `/${param.name}`))
+    }
+  }
+  const bodySchema = _.get(['requestBody', 'content', 'application/json', 'schema'])(operation)
+  if (bodySchema) {
+    const body = req.body === undefined || _.isEqual(req.body, {}) && !req.is('json') ?
+      undefined : req.body
+    if (body === undefined) {
+      if (operation.requestBody.required) {
+        add('invalid_body', [{path: '/', message: 'a JSON body is required'}])
+      }
+    } else {
+      add('invalid_body', check(bodySchema, body, ''))
+    }
+  }
+  return errors
+}
+
+function responseErrors(operation, status, body, envSpec) {
+  const response = operation.responses[status] || operation.responses.default
+  const responseSchema = _.get(['content', 'application/json', 'schema'])(response)
+  return responseSchema ? schema.validate(responseSchema, body, '', envSpec) : []
+}
+
+// Rejects requests that don't match the operation, as the environment's config shapes it, with 400
+// and the errors found. Runs after authentication, so unauthenticated callers get 401. When
+// `validateResponses` is set for the environment (or NODE_ENV is "development"), JSON responses
+// that don't match fail with 500, so contract drift is caught before it ships.
+function contract(operationId) {
+  const operation = operations[operationId]
+  if (!operation) { throw new Error(`unknown operation: ${operationId}`) }
+  return (req, res, next) => {
+    const {envConfig} = res.locals
+    const envSpec = specFor(envConfig)
+    const errors = requestErrors(operation, req, envSpec)
+    const [code] = _.keys(errors)
+    if (code) {
+      return res.sendError(400, code, 'request does not match the API contract',
+        {errors: errors[code]})
+    }
+    if (process.env.NODE_ENV === 'development' || (envConfig && envConfig.validateResponses)) {
+      const sendJson = res.sendJson
+      res.sendJson = (body) => {
+        res.sendJson = sendJson
+        const violations = responseErrors(operation, res.statusCode, body, envSpec)
+        if (violations.length === 0) { return sendJson(body) }
+        req.log.error('response does not match the API contract',
+          {operationId, status: res.statusCode, violations})
+        return res.sendError(500, 'response_contract_violation',
+          'response does not match the API contract', {operationId, violations})
+      }
+    }
+    next()
+  }
+}
+
+module.exports = {spec, document, contract}
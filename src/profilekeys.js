@@ -0,0 +1,148 @@
+const _ = require('lodash/fp')
+const schema = require('./schema')
+
+// The profile key registry: each key's type, validation rules, and who may write it. Values are
+// stored as strings, and encryptedkvdb encodes and decodes them with their type's codec:
+// - string: as is.
+// - integer: in decimal.
+// - timestamp: Unix seconds, in decimal. Clients get ISO 8601, and may send ISO 8601 or seconds.
+// - boolean: "true" or "false".
+// - json: JSON text.
+// `rules` constrain the decoded value further, in the JSON Schema subset ./schema validates.
+// `writableBy` is 'user' for keys users may write through /me, or 'service' for keys only the
+// service writes (e.g., the NIH link). Keys not in the registry are strings, and users may only
+// write them if the environment's `userWritableKeys` lists them.
+
+class InvalidValueError extends Error {
+  constructor(key, errors) {
+    super(`invalid value for ${key}: ${schema.formatErrors(errors)}`)
+    this.key = key
+    this.errors = errors
+  }
+}
+
+// Error messages don't include the value, which may identify the user.
+function decodeInteger(s) {
+  if (!/^-?\d+$/.test(s)) { throw new Error('stored value is not an integer') }
+  return parseInt(s)
+}
+
+function decodeBoolean(s) {
+  if (s !== 'true' && s !== 'false') { throw new Error('stored value is not a boolean') }
+  return s === 'true'
+}
+
+const codecs = {
+  string: {schema: {type: 'string'}, encode: v => v, decode: s => s},
+  integer: {schema: {type: 'integer'}, encode: String, decode: decodeInteger},
+  timestamp: {schema: {type: 'integer', minimum: 0}, encode: String, decode: decodeInteger},
+  boolean: {schema: {type: 'boolean'}, encode: String, decode: decodeBoolean},
+  json: {schema: {}, encode: JSON.stringify, decode: s => JSON.parse(s)}
+}
+
+const text = {maxLength: 256}
+
+const keys = {
+  firstName: {type: 'string', rules: text, writableBy: 'user'},
+  lastName: {type: 'string', rules: text, writableBy: 'user'},
+  title: {type: 'string', rules: text, writableBy: 'user'},
+  contactEmail: {
+    type: 'string', rules: {...text, pattern: '^[^@\\s]+@[^@\\s]+$'}, writableBy: 'user'
+  },
+  institute: {type: 'string', rules: text, writableBy: 'user'},
+  department: {type: 'string', rules: text, writableBy: 'user'},
+  programLocationCity: {type: 'string', rules: text, writableBy: 'user'},
+  programLocationState: {type: 'string', rules: text, writableBy: 'user'},
+  programLocationCountry: {type: 'string', rules: text, writableBy: 'user'},
+  pi: {type: 'boolean', writableBy: 'user'},
+  nonProfitStatus: {type: 'boolean', writableBy: 'user'},
+  interestInTerra: {type: 'string', rules: {maxLength: 1024}, writableBy: 'user'},
+  linkedNihUsername: {type: 'string', writableBy: 'service'},
+  linkExpireTime: {type: 'timestamp', writableBy: 'service'},
+  lastLinkTime: {type: 'timestamp', writableBy: 'service'}
+}
+
+const unregistered = {type: 'string'}
+
+function entryFor(key) {
+  return _.has(key)(keys) ? keys[key] : unregistered
+}
+
+function validate(key, value) {
+  const {type, rules} = entryFor(key)
+  return schema.validate({...codecs[type].schema, ...rules}, value, `/${key}`)
+}
+
+// The stored string for a value. Throws InvalidValueError if the value doesn't fit the key.
+function encode(key, value) {
+  const errors = validate(key, value)
+  if (errors.length > 0) { throw new InvalidValueError(key, errors) }
+  return codecs[entryFor(key).type].encode(value)
+}
+
+// The value of a stored string. Throws if it can't be decoded.
+function decode(key, stored) {
+  return codecs[entryFor(key).type].decode(stored)
+}
+
+// The value a client sent, converted from its JSON form and validated. Throws InvalidValueError.
+function fromJson(key, json) {
+  let value = json
+  if (entryFor(key).type === 'timestamp' && _.isString(json)) {
+    const ms = Date.parse(json)
+    if (_.isNaN(ms)) {
+      throw new InvalidValueError(key, [{path: `/${key}`, message: 'must be an ISO 8601 date'}])
+    }
+    value = Math.floor(ms / 1000)
+  }
+  const errors = validate(key, value)
+  if (errors.length > 0) { throw new InvalidValueError(key, errors) }
+  return value
+}
+
+// Nulls are left as they are.
+function toJson(key, value) {
+  return entryFor(key).type === 'timestamp' && value !== null ?
+    new Date(1000 * value).toISOString() : value
+}
+
+// A profile (values by key, e.g., from encryptedkvdb.toPlain), or some of its fields, as clients
+// see it.
+function profileToJson(plain) {
+  return _.fromPairs(_.map(k => [k, toJson(k, plain[k])])(_.keys(plain)))
+}
+
+const serviceKeys = _.filter(k => keys[k].writableBy === 'service')(_.keys(keys))
+
+// Keys users may write through /me. `userWritableKeys` in the environment's config replaces the
+// registry's list, but can't make service keys writable.
+function userWritableKeys(envConfig) {
+  return _.difference(
+    envConfig.userWritableKeys || _.filter(k => keys[k].writableBy === 'user')(_.keys(keys)),
+    serviceKeys)
+}
+
+// Keys this service writes: the registry's, and any the environment's `userWritableKeys` adds.
+// Other keys in KEY_VALUE_PAIR belong to services that share the table.
+function ownedKeys(envConfig) {
+  return _.union(_.keys(keys))(envConfig.userWritableKeys || [])
+}
+
+// The JSON Schema of a key's JSON form, for the API contract. `input` describes what clients may
+// send, which for timestamps includes Unix seconds.
+function jsonSchema(key, {input = false} = {}) {
+  const {type, rules} = entryFor(key)
+  switch (type) {
+    case 'timestamp':
+      return input ?
+        {type: ['string', 'integer'], description: 'ISO 8601 or Unix seconds.'} :
+        {type: 'string', description: 'ISO 8601.'}
+    case 'json': return {}
+    default: return {...codecs[type].schema, ...(input ? rules : {})}
+  }
+}
+
+module.exports = {
+  keys, InvalidValueError, encode, decode, fromJson, toJson, profileToJson, userWritableKeys,
+  ownedKeys, serviceKeys, jsonSchema
+}
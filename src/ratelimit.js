@@ -0,0 +1,121 @@
+const nodeCrypto = require('crypto')
+const _ = require('lodash/fp')
+
+// Token-bucket rate limits. Each bucket holds up to `capacity` tokens and gains `refillPerSecond`
+// tokens a second; a request takes one token and is refused when the bucket is empty. Buckets
+// are kept per route, per environment, and per Google `sub` or client IP.
+//
+// Buckets live in this process's memory, or in the environment's storage (the
+// RATE_LIMIT_BUCKET table), so the limits hold across App Engine instances. Token counts are kept
+// in thousandths of a token, so they're integers. If storage fails, the request is allowed: an
+// outage of the rate limiter shouldn't lock everyone out.
+
+// Rules by route, overridable per environment with `rateLimits.routes` in the config.
+const defaultRules = {
+  me: {
+    perUser: {capacity: 60, refillPerSecond: 1},
+    perIp: {capacity: 300, refillPerSecond: 5}
+  },
+  shibbolethToken: {
+    perUser: {capacity: 5, refillPerSecond: 1 / 60},
+    perIp: {capacity: 30, refillPerSecond: 0.5}
+  }
+}
+
+// Buckets in storage idle for longer than this are deleted. A bucket idle this long is full, as
+// long as every rule refills in less time.
+const maxIdleMs = 24 * 3600 * 1000
+const pruneIntervalMs = 10 * 60 * 1000
+const maxMemoryBuckets = 100000
+const maxStorageAttempts = 5
+
+// The rule for a route and kind ('perUser' or 'perIp'), or undefined if it isn't limited.
+function ruleFor(envConfig, route, kind) {
+  const {enabled = true, routes = {}} = envConfig.rateLimits || {}
+  if (!enabled) { return undefined }
+  const rules = {...defaultRules[route], ...routes[route]}
+  return rules[kind] || undefined
+}
+
+// Bucket keys are hashed, so storage holds no user IDs or IP addresses.
+function bucketKey(parts) {
+  return nodeCrypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex')
+}
+
+// Refills the bucket ({tokens, updatedAt}, or undefined for a full one) up to `now`, and takes a
+// token if there is one. Returns {allowed, bucket} with the bucket to store, or {allowed: false,
+// retryAfterSeconds}; a refused request leaves the bucket as it was.
+function takeToken(bucket, {capacity, refillPerSecond}, now) {
+  const max = 1000 * capacity
+  const tokens = bucket ?
+    Math.min(max, bucket.tokens + Math.floor((now - bucket.updatedAt) * refillPerSecond)) : max
+  if (tokens >= 1000) {
+    return {allowed: true, bucket: {tokens: tokens - 1000, updatedAt: now}}
+  }
+  return {allowed: false, retryAfterSeconds: Math.ceil((1000 - tokens) / refillPerSecond / 1000)}
+}
+
+const memoryBuckets = new Map()
+
+function pruneMemoryBuckets(now) {
+  for (const [k, v] of memoryBuckets) {
+    if (v.fullAt <= now) { memoryBuckets.delete(k) }
+  }
+  // Map iterates in insertion order, so this drops the oldest buckets first.
+  for (const k of memoryBuckets.keys()) {
+    if (memoryBuckets.size < maxMemoryBuckets) { break }
+    memoryBuckets.delete(k)
+  }
+}
+
+function takeFromMemory(key, rule, now) {
+  const result = takeToken(memoryBuckets.get(key), rule, now)
+  if (!result.allowed) { return result }
+  if (!memoryBuckets.has(key) && memoryBuckets.size >= maxMemoryBuckets) {
+    pruneMemoryBuckets(now)
+  }
+  const refillMs = (1000 * rule.capacity - result.bucket.tokens) / rule.refillPerSecond
+  memoryBuckets.delete(key)
+  memoryBuckets.set(key, {...result.bucket, fullAt: now + refillMs})
+  return result
+}
+
+let lastPrunedAt = 0
+
+// Writes are compare-and-set, retried when another request changed the bucket meanwhile.
+async function takeFromStorage(storage, key, rule, now) {
+  if (now - lastPrunedAt >= pruneIntervalMs) {
+    lastPrunedAt = now
+    await storage.deleteIdleRateLimitBuckets(now - maxIdleMs)
+  }
+  for (let attempt = 0; attempt < maxStorageAttempts; attempt++) {
+    const row = await storage.getRateLimitBucket(key)
+    const bucket = row && {tokens: row.TOKENS, updatedAt: row.UPDATED_AT}
+    const result = takeToken(bucket, rule, now)
+    if (!result.allowed) { return result }
+    const updated = await storage.putRateLimitBucket(
+      {BUCKET_KEY: key, TOKENS: result.bucket.tokens, UPDATED_AT: result.bucket.updatedAt}, row)
+    if (updated > 0) { return result }
+  }
+  return {allowed: false, retryAfterSeconds: 1}
+}
+
+// Takes a token from the bucket for `id` (a Google `sub` or IP address) on the route. Resolves to
+// undefined if the route isn't limited, or {allowed, retryAfterSeconds}. `storage` is used when
+// the environment's `rateLimits.store` is "storage".
+async function take(envName, envConfig, storage, route, kind, id, {now = Date.now(), log} = {}) {
+  const rule = ruleFor(envConfig, route, kind)
+  if (!rule) { return undefined }
+  const key = bucketKey([envName, route, kind, id])
+  if (_.get(['rateLimits', 'store'])(envConfig) !== 'storage') {
+    return takeFromMemory(key, rule, now)
+  }
+  try {
+    return await takeFromStorage(storage, key, rule, now)
+  } catch (e) {
+    if (log) { log.warn('rate limit check failed; allowing the request', {route, kind, err: e}) }
+    return {allowed: true}
+  }
+}
+
+module.exports = {take, defaultRules}
@@ -0,0 +1,52 @@
+// Re-encrypts rows in KEY_VALUE_PAIR under the active key, a batch at a time, until every row has
+// been visited or the time budget runs out. The returned report includes a cursor; pass it back as
+// `cursor` to resume where this run stopped. Rows that fail (e.g., they can't be decrypted) are
+// reported and skipped so a single bad row doesn't block the sweep. Only rows for `keys` are
+// rewritten; other services that share the table may not read the current format, so their rows
+// are counted as `skipped` and left alone.
+module.exports = async function reencryptSweep(ekvdb, opts = {}) {
+  const {
+    keys,
+    cursor: startCursor,
+    batchSize = 200,
+    maxRows = 5000,
+    deadlineMs = 30 * 1000,
+    log = () => {}
+  } = opts
+
+  const startTime = Date.now()
+  const ownedKeys = new Set(keys)
+  const report = {
+    cursor: startCursor, done: false,
+    scanned: 0, reencrypted: 0, alreadyCurrent: 0, changedConcurrently: 0, skipped: 0,
+    failures: []
+  }
+
+  while (report.scanned < maxRows && Date.now() - startTime < deadlineMs) {
+    const rows = await ekvdb.scanRows(report.cursor, Math.min(batchSize, maxRows - report.scanned))
+    if (rows.length === 0) {
+      report.done = true
+      break
+    }
+    for (const row of rows) {
+      if (!ownedKeys.has(row.KEY)) {
+        report.skipped++
+      } else {
+        try {
+          const result = await ekvdb.reencryptRow(row)
+          if (result === 'reencrypted') { report.reencrypted++ }
+          else if (result === 'current') { report.alreadyCurrent++ }
+          else { report.changedConcurrently++ }
+        } catch (e) {
+          report.failures.push({userId: row.USER_ID, key: row.KEY, message: e.message})
+        }
+      }
+      report.scanned++
+      report.cursor = {userId: row.USER_ID, key: row.KEY}
+    }
+    log(`reencrypt: scanned ${report.scanned} rows, cursor at ${JSON.stringify(report.cursor)}`)
+  }
+
+  report.elapsedMs = Date.now() - startTime
+  return report
+}
@@ -0,0 +1,100 @@
+const _ = require('lodash/fp')
+
+// A small validator for the subset of JSON Schema this service uses: type, required, properties,
+// additionalProperties, items, enum, pattern, minLength, maxLength, minimum, exclusiveMinimum,
+// maximum, minProperties and local $refs (e.g., "#/components/schemas/Error"), resolved against
+// `root`. Returns a list of {path, message} errors, empty if the value is valid.
+function validate(schema, value, path = '', root = schema) {
+  if (schema.$ref) { return validate(resolveRef(root, schema.$ref), value, path, root) }
+  const errors = []
+  const fail = (message) => { errors.push({path: path || '/', message}) }
+
+  if (schema.type && !isType(schema.type, value)) {
+    fail(`expected ${[].concat(schema.type).join(' or ')}, got ${typeName(value)}`)
+    return errors
+  }
+  if (schema.enum && !_.some(_.isEqual(value))(schema.enum)) {
+    fail(`expected one of: ${schema.enum.join(', ')}`)
+  }
+  if (_.isString(value)) {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail(`must be at least ${schema.minLength} characters`)
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      fail(`must be at most ${schema.maxLength} characters`)
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      fail(`must match ${schema.pattern}`)
+    }
+  }
+  if (_.isNumber(value)) {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      fail(`must be >= ${schema.minimum}`)
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      fail(`must be > ${schema.exclusiveMinimum}`)
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      fail(`must be <= ${schema.maximum}`)
+    }
+  }
+  if (_.isArray(value) && schema.items) {
+    value.forEach((item, i) => {
+      errors.push(...validate(schema.items, item, `${path}/${i}`, root))
+    })
+  }
+  if (_.isPlainObject(value)) {
+    for (const k of schema.required || []) {
+      if (value[k] === undefined) { errors.push({path: `${path}/${k}`, message: 'is required'}) }
+    }
+    if (schema.minProperties !== undefined && _.size(value) < schema.minProperties) {
+      fail(`must have at least ${schema.minProperties} properties`)
+    }
+    const properties = schema.properties || {}
+    for (const k of _.keys(value)) {
+      if (value[k] === undefined) { continue }
+      if (properties[k]) {
+        errors.push(...validate(properties[k], value[k], `${path}/${k}`, root))
+      } else if (schema.additionalProperties === false) {
+        errors.push({path: `${path}/${k}`, message: 'is not allowed'})
+      } else if (_.isPlainObject(schema.additionalProperties)) {
+        errors.push(...validate(schema.additionalProperties, value[k], `${path}/${k}`, root))
+      }
+    }
+  }
+  return errors
+}
+
+function resolveRef(root, ref) {
+  const target = /^#\//.test(ref) ? _.get(ref.slice(2).split('/'))(root) : undefined
+  if (!target) { throw new Error(`unresolvable schema reference: ${ref}`) }
+  return target
+}
+
+function typeName(value) {
+  if (value === null) { return 'null' }
+  if (_.isArray(value)) { return 'array' }
+  if (Number.isInteger(value)) { return 'integer' }
+  return typeof value
+}
+
+function isType(type, value) {
+  return _.some(t => {
+    switch (t) {
+      case 'object': return _.isPlainObject(value)
+      case 'array': return _.isArray(value)
+      case 'string': return _.isString(value)
+      case 'integer': return Number.isInteger(value)
+      case 'number': return _.isNumber(value) && !_.isNaN(value)
+      case 'boolean': return _.isBoolean(value)
+      case 'null': return value === null
+      default: throw new Error(`unsupported schema type: ${t}`)
+    }
+  })([].concat(type))
+}
+
+function formatErrors(errors) {
+  return _.map(e => `${e.path} ${e.message}`)(errors).join('; ')
+}
+
+module.exports = {validate, formatErrors}
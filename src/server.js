@@ -1,21 +1,25 @@
 const cors = require('cors')
+const nodeCrypto = require('crypto')
 const express = require('express')
-const fs = require('fs').promises
-const http = require('http')
-const https = require('https')
-const jwt = require('jsonwebtoken')
 const _ = require('lodash/fp')
 const u = require('utils')
-
-function errToObj(err) {
-  return _.merge({message: err.message, stack: err.stack.split('\n')}, err)
-}
-
-function httpRequest(options, lib = https) {
-  return new Promise((resolve) => {
-    lib.request(options, (res) => { resolve(res) }).end()
-  })
-}
+const configLoader = require('./config')
+const dataexport = require('./dataexport')
+const encryptedkvdb = require('./encryptedkvdb')
+const googleauth = require('./googleauth')
+const health = require('./health')
+const linkexpiry = require('./linkexpiry')
+const lifecycle = require('./lifecycle')
+const linkhistory = require('./linkhistory')
+const log = require('./log')
+const metrics = require('./metrics')
+const nihlinks = require('./nihlinks')
+const openapi = require('./openapi')
+const profilekeys = require('./profilekeys')
+const ratelimit = require('./ratelimit')
+const reencrypt = require('./reencrypt')
+const services = require('./services')
+const shibboleth = require('./shibboleth')
 
 function slurpStream(s) {
   return new Promise((resolve) => {
@@ -25,168 +29,272 @@ function slurpStream(s) {
   })
 }
 
-function maybeParseJson(s) {
-  try {
-    return JSON.parse(s)
-  } catch (e) {
-    return s
-  }
-}
-
 const app = express()
 
-app.use(cors())
+// App Engine's front end appends the client's address to X-Forwarded-For. Only that last hop is
+// trusted, since clients can send the header with any addresses they like, so req.ip is the
+// address the front end saw.
+app.set('trust proxy', 1)
+
+app.use(cors({exposedHeaders: ['X-Request-Id']}))
 
+// Each request gets an ID: the caller's X-Request-Id if it has a usable one, or a new one. It's
+// returned in the X-Request-Id header and in error responses, and `req.log` adds it, and the
+// Cloud Trace ID App Engine assigns, to every log entry for the request.
+function requestIdFrom(req) {
+  const given = req.headers['x-request-id']
+  return /^[\w.:-]{8,128}$/.test(given || '') ? given : nodeCrypto.randomBytes(12).toString('hex')
+}
+
+app.use((req, res, next) => {
+  const startTime = Date.now()
+  const [traceId] = (req.headers['x-cloud-trace-context'] || '').split('/')
+  const project = process.env.GOOGLE_CLOUD_PROJECT
+  req.requestId = requestIdFrom(req)
+  req.log = log.child({
+    requestId: req.requestId,
+    ...(traceId && project ?
+      {'logging.googleapis.com/trace': `projects/${project}/traces/${traceId}`} : {})
+  })
+  res.set('X-Request-Id', req.requestId)
+  const observeLatency = metrics.httpRequestDuration.startTimer({method: req.method})
+  res.on('finish', () => {
+    // Labeled with the route's pattern, e.g., /dev/me/:key, so paths don't each get a series.
+    observeLatency({
+      route: req.route ? req.baseUrl + req.route.path : 'unmatched', status: res.statusCode
+    })
+    req.log(`${req.method} ${req.path} ${res.statusCode}`, {request: {
+      method: req.method, path: req.path, status: res.statusCode,
+      latencyMs: Date.now() - startTime, ip: req.ip, userAgent: req.headers['user-agent']
+    }})
+  })
+  next()
+})
+
+// Errors are sent as {error: {code, message, requestId, ...details}}. `code` is stable, for
+// clients to act on; `message` is for people.
 app.use((req, res, next) => {
   res.sendJson = (x) => {
     res.type('application/json')
-    x = x instanceof Error ? errToObj(x) : x
     return res.send(JSON.stringify(x, null, 2) + '\n').end()
   }
+  res.sendError = (status, code, message, details = {}) => {
+    return res.status(status).sendJson(
+      {error: {code, message, ...details, requestId: req.requestId}})
+  }
   next()
 })
 
-async function fetchAccessToken() {
-  try {
-    return (await fs.readFile('.access-token', {encoding: 'utf8'})).trim()
-  } catch (e) {
-    const mRes = await httpRequest({
-      hostname: 'metadata',
-      path: '/computeMetadata/v1/instance/service-accounts/default/token',
-      headers: {'Metadata-Flavor': 'Google'}
-    }, http)
-    return maybeParseJson((await slurpStream(mRes)).join('')).access_token
-  }
-}
-
-async function getGcsObjectData(authorization, gsUrlString) {
-  const url = new URL(gsUrlString)
-  const gcsRes = await httpRequest({
-    hostname: 'www.googleapis.com',
-    path: '/download/storage/v1/b/'+
-      encodeURIComponent(url.hostname)+'/o/'+encodeURIComponent(url.pathname.slice(1))+
-      '?alt=media',
-    headers: {authorization}
-  })
-  if (gcsRes.statusCode !== 200) {
-    console.log(authorization)
-    throw new Error(`failed to fetch ${url}: ${gcsRes.statusCode}`)
-  }
-  return (await slurpStream(gcsRes)).join('')
-}
-
-const configGcsUrl = 'gs://broad-shibboleth-prod.appspot.com/secrets/secrets.20200310a.json'
+// Express 4 doesn't pass rejections from async handlers on to the error handler, so route
+// handlers are wrapped with this.
+const handle = (fn) => (req, res, next) => fn(req, res, next).catch(next)
 
 async function withConfig(req, res, next) {
   if (res.locals.config) { return next() }
-  const authorization = `Bearer ${await fetchAccessToken()}`
-  res.locals.config = JSON.parse(await getGcsObjectData(authorization, configGcsUrl))
+  try {
+    res.locals.config = await configLoader.get()
+  } catch (e) {
+    return next(e)
+  }
   next()
 }
 
-function withCrypto(envName) {
+function withEnvironment(envName) {
   return (req, res, next) => {
     if (!res.locals.config) { return next(new Error('Missing configuration')) }
-    const {config} = res.locals
-    const key = Buffer.from(config[envName].encryptionKeyBase64, 'base64')
-    res.locals.crypto = require('./crypto')(key)
+    const envConfig = res.locals.config.environments[envName]
+    // The environment may have been removed by a config refresh since its router was mounted.
+    if (!envConfig || envConfig.enabled === false) { return next('router') }
+    res.locals.envName = envName
+    res.locals.envConfig = envConfig
     next()
   }
 }
 
-function withEkvdb(envName) {
-  const instanceConnectionName = envName === 'dev' ?
-    'broad-dsde-dev:us-central1:thurloe-cloudsql-dev201-9e45a2fc870e72f2' :
-    'broad-dsde-prod:us-central1:thurloe-cloudsql-prod201-905168db8ab5e528'
-  return (req, res, next) => {
-    const {config, crypto} = res.locals
-    if (!config) { return next(new Error('Missing configuration')) }
-    if (!crypto) { return next(new Error('Missing crypto library')) }
-    const dbOpts = {instanceConnectionName, password: config[envName].dbPassword}
-    res.locals.ekvdb = require('./encryptedkvdb')(crypto, dbOpts)
-    next()
-  }
+function withCrypto(req, res, next) {
+  const {envConfig} = res.locals
+  if (!envConfig) { return next(new Error('Missing environment configuration')) }
+  res.locals.crypto = services.cryptoFromConfig(envConfig)
+  next()
 }
 
-class StructError extends Error {
-  constructor(obj) {
-    super(obj.message)
-    _.forEach(k => {this[k] = obj[k]})(_.keys(obj))
+// Sets storage, ekvdb, linkHistory, auditLog and webhooks (see ./services). The storage, and its
+// connection pool, is shared by every request to the environment (see ./lifecycle).
+function withEkvdb(req, res, next) {
+  const {envName, envConfig, crypto} = res.locals
+  if (!envConfig) { return next(new Error('Missing environment configuration')) }
+  if (!crypto) { return next(new Error('Missing crypto library')) }
+  let storage
+  try {
+    storage = lifecycle.storageFor(envName, envConfig)
+  } catch (e) {
+    return next(e)
   }
+  Object.assign(res.locals, services(envConfig, crypto, storage))
+  next()
 }
 
 class ExternalRequestError extends Error {
   constructor(res) {
     super(`External request returned status: ${res.statusCode}`)
-    this.res = res
+    this.statusCode = res.statusCode
   }
 }
 
+// IAM refuses tokens that are invalid or expired with 401, and callers who can't see the project
+// with 403. Those are the caller's failures, not IAM's.
+const iamRefusals = {
+  401: {status: 401, code: 'invalid_token', message: 'IAM rejected the token'},
+  403: {status: 403, code: 'permission_denied', message: 'IAM denied access to the project'}
+}
+
+// Resolves to [null, true] if the caller has the permission, and otherwise to [error, false],
+// where `error` has the status and code to refuse the request with.
 async function hasPermission(authorizationHeaderValue, permissionName) {
+  const {googleCloudProject} = await configLoader.get()
   const permsCheck = u.httpreq({
     hostname: 'cloudresourcemanager.googleapis.com',
-    path: `/v1/projects/${process.env.GOOGLE_CLOUD_PROJECT}:testIamPermissions`,
+    path: `/v1/projects/${googleCloudProject}:testIamPermissions`,
     method: 'post',
     headers: {'Authorization': authorizationHeaderValue, 'Content-Type': 'application/json'}
   })
   permsCheck.req.write(JSON.stringify({permissions: [permissionName]}))
   permsCheck.req.end()
   await permsCheck.resp
-  if (permsCheck.res.statusCode !== 200) { throw new ExternalRequestError(permsCheck.res) }
+  const {statusCode} = permsCheck.res
+  if (iamRefusals[statusCode]) {
+    permsCheck.res.resume()
+    return [iamRefusals[statusCode], false]
+  }
+  if (statusCode !== 200) { throw new ExternalRequestError(permsCheck.res) }
   permsCheck.body = await u.consumeStreamp(permsCheck.res)
   const grantedPerms = JSON.parse(permsCheck.body.toString()).permissions
   if (_.indexOf(permissionName)(grantedPerms) !== -1) {
     return [null, true]
   } else {
     return [{
+      status: 403,
+      code: 'permission_denied',
       message: 'missing required permission',
-      requiredPermission: requiredPerm,
+      requiredPermission: permissionName,
       grantedPermissions: grantedPerms
     }, false]
   }
 }
 
-app.post('/.src', async (req, res, next) => {
-  const [err, hasPerm] = await hasPermission(
-    req.headers['authorization'],
-    'appengine.applications.update'
-  )
-  if (hasPerm) {
-    res.locals.isReloadOkay = true
-    return next()
-  } else {
-    res.status(403).send(JSON.stringify(err, null, 2)).end()
+const adminPermission = 'appengine.applications.update'
+
+function requirePermission(permissionName) {
+  return async (req, res, next) => {
+    if (!req.headers['authorization']) {
+      return res.sendError(401, 'missing_authorization', 'missing Authorization header')
+    }
+    let err, hasPerm
+    try {
+      [err, hasPerm] = await hasPermission(req.headers['authorization'], permissionName)
+    } catch (e) {
+      return next(e)
+    }
+    if (!hasPerm) {
+      const {status, code, message, ...details} = err
+      return res.sendError(status, code, message, details)
+    }
+    next()
   }
+}
+
+// Only admins may use the live code reload routes index.js adds at /.src, to this router (see
+// index.js).
+app.use('/.src', requirePermission(adminPermission), (req, res, next) => {
+  res.locals.isReloadOkay = true
+  next()
 })
+app.reloadRoutes = express.Router()
+app.use(app.reloadRoutes)
+
+// App Engine sets X-Appengine-Cron on requests from its cron service, and strips it from external
+// requests.
+function fromCron(req, res, next) {
+  if (req.headers['x-appengine-cron'] !== 'true') {
+    return res.sendError(403, 'permission_denied', 'only App Engine cron may call this')
+  }
+  next()
+}
+
+// Records an admin call in the audit log before it runs. Expects the caller to have been
+// authenticated with withAuth, to identify them.
+function withAdminAudit(action) {
+  return async (req, res, next) => {
+    const {auditLog} = res.locals
+    const google = req.auth && req.auth.google
+    try {
+      await auditLog.record({
+        actor: google ? (google.email || google.sub) : 'unknown',
+        action,
+        targetUserId: req.params.userId,
+        details: {
+          method: req.method, path: req.originalUrl.split('?')[0], query: req.query,
+          body: req.body, ip: req.ip
+        }
+      })
+    } catch (e) {
+      return next(e)
+    }
+    next()
+  }
+}
 
 async function withAuth(req, res, next) {
   res.sendAuthError = () => {
-    return res.status(401).sendJson(req.auth)
+    const {code, message, ...details} = req.auth.error
+    return res.sendError(401, code, message, details)
   }
   const authHeader = (req.headers['authorization'] || '').trim()
   if (authHeader.length === 0) {
-    req.auth = {error: {message: 'missing Authorization header'}}
+    req.auth = {error: {code: 'missing_authorization', message: 'missing Authorization header'}}
     return next()
   }
   const [type, value] = authHeader.split(/\s+/)
-  if (type.toLowerCase() === 'bearer') {
-    const gtRes = await httpRequest({
-      hostname: 'oauth2.googleapis.com',
-      path: '/tokeninfo?access_token='+value,
-    })
-    const gtResBody = maybeParseJson((await slurpStream(gtRes)).join(''))
-    if (gtRes.statusCode !== 200) {
-      req.auth = {error: {
-        message: 'invalid bearer token', value, header: authHeader, cause: gtResBody}}
-      return next()
-    } else {
-      req.auth = {google: gtResBody}
-      return next()
-    }
-  } else {
-    req.auth = {error: {message: 'invalid auth type', type, value, header: authHeader}}
+  if (type.toLowerCase() !== 'bearer' || !value) {
+    req.auth = {error: {code: 'invalid_auth_type', message: 'invalid auth type', type}}
     return next()
   }
+  try {
+    const {googleAuth} = res.locals.config || await configLoader.get()
+    req.auth = {google: await googleauth.verifyBearerToken(value, googleAuth)}
+  } catch (e) {
+    if (!(e instanceof googleauth.AuthError)) { return next(e) }
+    req.auth = {error: {code: 'invalid_token', message: e.message, ...e.details}}
+  }
+  next()
+}
+
+// Refuses requests without a Google identity (see withAuth) with 401.
+function requireGoogleAuth(req, res, next) {
+  if (!req.auth.google) { return res.sendAuthError() }
+  next()
+}
+
+// Refuses the request with 429 once the caller has used up the route's rate limit (see
+// ./ratelimit). `kind` is 'perIp', keyed by the client's IP address, or 'perUser', keyed by the
+// authenticated Google `sub`; the latter is skipped for unauthenticated requests.
+function rateLimit(route, kind) {
+  return async (req, res, next) => {
+    const id = kind === 'perUser' ? req.auth.google && req.auth.google.sub : req.ip
+    if (!id) { return next() }
+    const {envName, envConfig, storage} = res.locals
+    let result
+    try {
+      result = await ratelimit.take(envName, envConfig, storage, route, kind, id, {log: req.log})
+    } catch (e) {
+      return next(e)
+    }
+    if (!result || result.allowed) { return next() }
+    metrics.rateLimitedRequests.inc({route, kind})
+    res.set('Retry-After', String(result.retryAfterSeconds))
+    res.sendError(429, 'rate_limited', 'too many requests; try again later',
+      {retryAfterSeconds: result.retryAfterSeconds})
+  }
 }
 
 app.get('/', (req, res) => {
@@ -194,78 +302,471 @@ app.get('/', (req, res) => {
   res.send(`The time is: ${(new Date()).toISOString()}\n`)
 })
 
+const {contract} = openapi
+
+// Liveness: the process is up and serving requests.
+app.get('/healthz', contract('getHealth'), (req, res) => {
+  res.sendJson({status: 'ok'})
+})
+
+// Readiness: the service's dependencies work (see ./health).
+app.get('/readyz', contract('getReadiness'), async (req, res, next) => {
+  let result
+  try {
+    result = await health.checkReadiness()
+  } catch (e) {
+    return next(e)
+  }
+  if (!result.ready) {
+    req.log.warn('readiness check failed', {checks: result.checks})
+  }
+  res.status(result.ready ? 200 : 503).sendJson(
+    {status: result.ready ? 'ready' : 'not_ready', checks: result.checks})
+})
+
+// Prometheus metrics (see ./metrics). They reveal traffic and error rates, so only admins may read
+// them.
+app.get('/metrics', requirePermission(adminPermission), contract('getMetrics'), (req, res) => {
+  res.type('text/plain; version=0.0.4').send(metrics.render())
+})
+
+// The API contract (see ./openapi).
+app.get('/openapi.json', contract('getOpenApi'), withConfig, (req, res) => {
+  res.sendJson(openapi.document(res.locals.config))
+})
+
 function jsToUnixTime(msSinceEpoch) { return msSinceEpoch / 1000 }
 function unixToJsTime(sSinceEpoch) { return sSinceEpoch * 1000 }
 
+// Profiles are versioned (see encryptedkvdb.getProfile). /me sends the version as an ETag, e.g.,
+// "12", and writes to /me with If-Match only apply if the profile is still at a version it names.
+function etag(version) { return `"${version}"` }
+
+// The versions If-Match names, or undefined if it's absent or "*". Other tags (e.g., weak ones)
+// never match.
+function ifMatchVersions(req) {
+  const header = (req.headers['if-match'] || '').trim()
+  if (header === '' || header === '*') { return undefined }
+  return _.map(tag => {
+    const match = /^"(\d+)"$/.exec(tag.trim())
+    return match ? parseInt(match[1]) : NaN
+  })(header.split(','))
+}
+
+async function sendProfile(res, userId) {
+  const {ekvdb} = res.locals
+  const {version, pairs} = await ekvdb.getProfile(userId)
+  res.set('ETag', etag(version))
+  res.sendJson(profilekeys.profileToJson(ekvdb.toPlain(pairs)))
+}
+
+// Applies the changes (values by key, null to delete) as one write and sends the new profile, or
+// 412 if If-Match doesn't name the profile's version.
+async function writeProfile(req, res, changes) {
+  const {ekvdb} = res.locals
+  const sub = req.auth.google.sub
+  try {
+    await ekvdb.setValues(sub, changes, {expectedVersions: ifMatchVersions(req)})
+  } catch (e) {
+    if (!(e instanceof encryptedkvdb.VersionConflictError)) { throw e }
+    res.set('ETag', etag(e.currentVersion))
+    return res.sendError(412, 'precondition_failed',
+      'the profile has changed since the version in If-Match',
+      {currentVersion: e.currentVersion})
+  }
+  await sendProfile(res, sub)
+}
+
 async function getMe(req, res) {
   if (!req.auth.google) return res.sendAuthError();
-  const {ekvdb} = res.locals
-  const pairs = await ekvdb.getPairs(req.auth.google.sub)
-  res.sendJson(ekvdb.toPlain(pairs))
+  await sendProfile(res, req.auth.google.sub)
+}
+
+// Which keys users may write, and their types, are in the key registry (see ./profilekeys).
+function checkWritableKeys(envConfig, keys) {
+  const writableKeys = profilekeys.userWritableKeys(envConfig)
+  const rejectedKeys = _.difference(keys, writableKeys)
+  if (rejectedKeys.length > 0) {
+    return {rejectedKeys, writableKeys}
+  }
+}
+
+const parseJsonBody = express.json({limit: '64kb'})
+
+// Converts the values a client sent (by key, with null for deletions) from their JSON forms.
+// Sends 400 and returns undefined if any don't fit their keys.
+function parseValues(res, json) {
+  const values = {}
+  const errors = []
+  for (const key of _.keys(json)) {
+    try {
+      values[key] = json[key] === null ? null : profilekeys.fromJson(key, json[key])
+    } catch (e) {
+      if (!(e instanceof profilekeys.InvalidValueError)) { throw e }
+      errors.push(...e.errors)
+    }
+  }
+  if (errors.length > 0) {
+    res.sendError(400, 'invalid_body', 'value(s) do not fit their keys', {errors})
+    return undefined
+  }
+  return values
+}
+
+async function patchMe(req, res) {
+  if (!req.auth.google) { return res.sendAuthError() }
+  const {envConfig} = res.locals
+  const writeError = checkWritableKeys(envConfig, _.keys(req.body))
+  if (writeError) {
+    return res.sendError(403, 'key_not_writable', 'key(s) not writable', writeError)
+  }
+  const changes = parseValues(res, req.body)
+  if (!changes) { return }
+  await writeProfile(req, res, changes)
 }
 
-app.get('/dev/me', withConfig, withCrypto('dev'), withEkvdb('dev'), withAuth, getMe)
-app.get('/me', withConfig, withCrypto('prod'), withEkvdb('prod'), withAuth, getMe)
+async function putMeKey(req, res) {
+  if (!req.auth.google) { return res.sendAuthError() }
+  const {envConfig} = res.locals
+  const {key} = req.params
+  const writeError = checkWritableKeys(envConfig, [key])
+  if (writeError) {
+    return res.sendError(403, 'key_not_writable', 'key(s) not writable', writeError)
+  }
+  const values = parseValues(res, {[key]: req.body.value})
+  if (!values) { return }
+  await writeProfile(req, res, values)
+}
 
-async function getPublicKey(envName) {
-  const path = envName === 'dev' ? '/dev/public-key.pem' : '/public-key.pem'
-  const keyReq = await httpRequest({hostname: 'broad-shibboleth-prod.appspot.com', path})
-  if (keyReq.statusCode !== 200) {
-    throw new StructError({message: 'failed to fetch key for JWT verification', path})
+async function deleteMeKey(req, res) {
+  if (!req.auth.google) { return res.sendAuthError() }
+  const {envConfig} = res.locals
+  const {key} = req.params
+  const writeError = checkWritableKeys(envConfig, [key])
+  if (writeError) {
+    return res.sendError(403, 'key_not_writable', 'key(s) not writable', writeError)
   }
-  return (await slurpStream(keyReq)).join('')
+  await writeProfile(req, res, {[key]: null})
 }
 
-function parseJwtPayload(jwt) {
+async function getMeExport(req, res) {
+  if (!req.auth.google) { return res.sendAuthError() }
+  res.sendJson(await dataexport(res.locals, req.auth.google.sub))
+}
+
+async function deleteMe(req, res) {
+  if (!req.auth.google) { return res.sendAuthError() }
+  const {ekvdb} = res.locals
+  const receipt = await ekvdb.eraseUser(req.auth.google.sub, 'self')
+  req.log('erased user data', {receiptId: receipt.receiptId})
+  res.sendJson(receipt)
+}
+
+function sendShibbolethTokenError(res, e) {
+  metrics.nihLinkAttempts.inc({result: e.code})
+  return res.sendError(400, e.code, 'failed to verify JWT: ' + e.message, e.details)
+}
+
+async function postShibbolethToken(req, res) {
+  if (!req.auth.google) { return res.sendAuthError() }
+
+  const {envConfig, ekvdb, transaction} = res.locals
+  const shibbolethConfig = envConfig.shibboleth
+  const shibToken = (await slurpStream(req)).join('').trim()
+  const sub = req.auth.google.sub
+
+  let payload
+  try {
+    const publicKeyPem = await shibboleth.getVerificationKey(
+      shibToken, shibboleth.keySourceFromConfig(envConfig))
+    payload = shibboleth.verifyToken(shibToken, publicKeyPem, shibbolethConfig)
+  } catch (e) {
+    if (!(e instanceof shibboleth.ShibbolethTokenError)) { throw e }
+    return sendShibbolethTokenError(res, e)
+  }
+
+  const payloadUsername = payload['eraCommonsUsername']
+  const transfer = envConfig.nihLinkConflictPolicy === 'transfer'
+  const now = Date.now()
+  const thirtyDaysInSeconds = 60 * 60 * 24 * 30
+  // The conflict check, token claim, unlinks and link are one transaction, so a failed link
+  // doesn't use up the token or leave another account unlinked.
+  let linked
   try {
-    const [headerJson, payloadJson, signatureBytes] =
-      _.map((x) => Buffer.from(x, 'base64').toString())(jwt.split('.'))
-    return JSON.parse(payloadJson)
+    linked = await transaction(async ({ekvdb, storage, linkHistory}) => {
+      const otherUserIds = _.without([sub])(
+        await ekvdb.findUserIds('linkedNihUsername', payloadUsername))
+      if (otherUserIds.length > 0 && !transfer) { return false }
+      const jti = await shibboleth.claimToken(storage, shibToken, payload, sub, shibbolethConfig)
+      for (const otherUserId of otherUserIds) {
+        // The other account keeps its lastLinkTime, as it does when it unlinks itself. Its history
+        // doesn't name the account the link moved to.
+        if (await ekvdb.deleteValues(otherUserId, nihLinkKeys) > 0) {
+          await linkHistory.record(otherUserId, 'unlink',
+            {eraCommonsUsername: payloadUsername, reason: 'transferred'}, now)
+        }
+      }
+      await ekvdb.setValues(sub, {
+        linkedNihUsername: payloadUsername,
+        linkExpireTime: payload['iat'] + thirtyDaysInSeconds,
+        lastLinkTime: Math.floor(jsToUnixTime(now))
+      })
+      await linkHistory.record(sub, 'link', {
+        eraCommonsUsername: payloadUsername,
+        tokenIat: payload['iat'],
+        tokenJti: jti,
+        ...(otherUserIds.length > 0 ? {transferred: true} : {}),
+        ...linkhistory.requestDetails(req)
+      }, now)
+      return true
+    })
   } catch (e) {
-    throw new StructError({message: 'failed to parse token payload', jwt})
+    if (e instanceof shibboleth.ShibbolethTokenError) { return sendShibbolethTokenError(res, e) }
+    // Another account linked the username since it was checked.
+    if (e instanceof encryptedkvdb.UniqueValueError) { return sendNihLinkConflict(res) }
+    throw e
   }
+  if (!linked) { return sendNihLinkConflict(res) }
+  metrics.nihLinkAttempts.inc({result: 'success'})
+  res.sendJson(linkState(ekvdb.toPlain(await ekvdb.getPairs(sub))))
 }
 
-function postShibbolethToken(envName) {
-  return async (req, res) => {
-    if (!req.auth.google) { return res.sendAuthError() }
+function sendNihLinkConflict(res) {
+  metrics.nihLinkAttempts.inc({result: 'nih_username_linked_to_another_account'})
+  return res.sendError(409, 'nih_username_linked_to_another_account',
+    'this eRA Commons username is already linked to another account')
+}
 
-    const {ekvdb} = res.locals
-    const shibToken = (await slurpStream(req)).join('')
-    const payload = parseJwtPayload(shibToken)
-    const publicKeyPem = await getPublicKey(envName)
+const nihLinkKeys = ['linkedNihUsername', 'linkExpireTime']
 
-    try {
-      jwt.verify(shibToken, publicKeyPem, {algorithms: ['RS256']})
-    } catch (e) {
-      return res.status(400).sendJson({error: {message: 'failed to verify JWT', cause: errToObj(e)}})
+// The NIH link fields of a user's profile. Times are null when not set. Unlike /me, the link
+// routes keep their original shape: Unix seconds, with human-readable versions.
+function linkState(plain) {
+  const values = {linkedNihUsername: plain.linkedNihUsername || null}
+  for (const k of ['lastLinkTime', 'linkExpireTime']) {
+    const t = plain[k]
+    values[k] = t === undefined ? null : t
+    values[k+'Human'] = t === undefined ? null : (new Date(unixToJsTime(t))).toString()
+  }
+  return values
+}
+
+async function deleteNihLink(req, res) {
+  if (!req.auth.google) { return res.sendAuthError() }
+  const {ekvdb, transaction} = res.locals
+  const sub = req.auth.google.sub
+  await transaction(async ({ekvdb, linkHistory}) => {
+    const before = ekvdb.toPlain(await ekvdb.getPairs(sub))
+    if (await ekvdb.deleteValues(sub, nihLinkKeys) > 0) {
+      await linkHistory.record(sub, 'unlink', {
+        eraCommonsUsername: before.linkedNihUsername,
+        ...linkhistory.requestDetails(req)
+      })
     }
+  })
+  res.sendJson(linkState(ekvdb.toPlain(await ekvdb.getPairs(sub))))
+}
+
+async function postReencrypt(req, res) {
+  const {envConfig, ekvdb} = res.locals
+  const opts = _.pick(['cursor', 'batchSize', 'maxRows'])(req.body || {})
+  const report = await reencrypt(ekvdb, {
+    ...opts, keys: profilekeys.ownedKeys(envConfig), log: req.log
+  })
+  res.sendJson(report)
+}
+
+async function getMeLinkHistory(req, res) {
+  if (!req.auth.google) { return res.sendAuthError() }
+  const {linkHistory} = res.locals
+  res.sendJson({events: await linkHistory.list(req.auth.google.sub)})
+}
+
+async function getUserLinkHistory(req, res) {
+  const {linkHistory} = res.locals
+  res.sendJson({userId: req.params.userId, events: await linkHistory.list(req.params.userId)})
+}
+
+// Accepts an ISO 8601 date or Unix seconds. Returns Unix seconds, or NaN.
+function parseTimeParam(s) {
+  if (/^\d+$/.test(s)) { return parseInt(s) }
+  return Math.floor(jsToUnixTime(Date.parse(s)))
+}
+
+async function getNihLinksByUsername(req, res) {
+  const {ekvdb} = res.locals
+  const {nihUsername} = req.query
+  res.sendJson({nihUsername, links: await nihlinks(ekvdb).findByNihUsername(nihUsername)})
+}
+
+async function getExpiringNihLinks(req, res) {
+  const {ekvdb} = res.locals
+  const sevenDaysInSeconds = 60 * 60 * 24 * 7
+  const from = req.query.from ?
+    parseTimeParam(req.query.from) : Math.floor(jsToUnixTime(Date.now()))
+  const to = req.query.to ? parseTimeParam(req.query.to) : from + sevenDaysInSeconds
+  if (_.isNaN(from) || _.isNaN(to)) {
+    return res.sendError(400, 'invalid_query', 'from and to must be ISO 8601 dates or Unix seconds')
+  }
+  const limit = req.query.limit ? parseInt(req.query.limit) : 100
+  if (limit < 1 || limit > 1000) {
+    return res.sendError(400, 'invalid_query', 'limit must be between 1 and 1000')
+  }
+  // The cursor is "<linkExpireTime>:<userId>" of the last link returned.
+  const [, cursorTime, cursorUserId] = /^(\d+):(.+)$/.exec(req.query.cursor || '') || []
+  const cursor = cursorTime && {linkExpireTime: parseInt(cursorTime), userId: cursorUserId}
+  const page = await nihlinks(ekvdb).listExpiring(from, to, {limit, cursor})
+  res.sendJson({
+    from, to, links: page.links,
+    ...(page.cursor ? {cursor: `${page.cursor.linkExpireTime}:${page.cursor.userId}`} : {})
+  })
+}
+
+async function deleteUser(req, res) {
+  const {ekvdb} = res.locals
+  const google = req.auth.google
+  const receipt = await ekvdb.eraseUser(
+    req.params.userId, google ? (google.email || google.sub) : 'unknown')
+  req.log('erased user data', {receiptId: receipt.receiptId})
+  res.sendJson(receipt)
+}
+
+async function postExpireNihLink(req, res) {
+  const {ekvdb, transaction} = res.locals
+  const {userId} = req.params
+  const now = Date.now()
+  const expired = await transaction(async ({ekvdb, linkHistory}) => {
+    const plain = ekvdb.toPlain(await ekvdb.getPairs(userId))
+    if (!plain.linkedNihUsername) { return false }
+    await ekvdb.setValue(userId, 'linkExpireTime', Math.floor(jsToUnixTime(now)))
+    await linkHistory.record(userId, 'expire', {
+      eraCommonsUsername: plain.linkedNihUsername,
+      actor: req.auth.google ? (req.auth.google.email || req.auth.google.sub) : 'unknown',
+      ...linkhistory.requestDetails(req)
+    }, now)
+    return true
+  })
+  if (!expired) {
+    return res.sendError(404, 'not_linked', 'user has no NIH link')
+  }
+  res.sendJson({userId, ...linkState(ekvdb.toPlain(await ekvdb.getPairs(userId)))})
+}
+
+// Run by App Engine cron (see cron.yaml), or by an admin.
+async function runLinkExpirySweep(req, res) {
+  const {envConfig} = res.locals
+  const report = await linkexpiry(res.locals, {
+    warningSeconds: envConfig.linkExpiryWarningSeconds,
+    lookbackSeconds: envConfig.linkExpiryLookbackSeconds,
+    log: req.log
+  })
+  res.sendJson(report)
+}
+
+async function runChangeEventDispatch(req, res) {
+  res.sendJson(await res.locals.changeEvents.dispatch())
+}
+
+async function postChangeEventReplay(req, res) {
+  const {changeEvents, envConfig} = res.locals
+  const {subscriber, since, cursor} = req.body
+  if (!_.find({name: subscriber})(envConfig.changeSubscribers || [])) {
+    return res.sendError(400, 'invalid_body', 'subscriber must name a changeSubscriber')
+  }
+  const sinceTime = since === undefined ? 0 : unixToJsTime(parseTimeParam(since.toString()))
+  if (_.isNaN(sinceTime)) {
+    return res.sendError(400, 'invalid_body', 'since must be an ISO 8601 date or Unix seconds')
+  }
+  res.sendJson(await changeEvents.replay(subscriber, {since: sinceTime, cursor}))
+}
+
+// Routes served by every environment, relative to the environment's path prefix.
+function createEnvironmentRouter(envName) {
+  const router = express.Router()
+  const withEnv = [withConfig, withEnvironment(envName), withCrypto, withEkvdb]
+  const asAdmin = (action) => [requirePermission(adminPermission), withAuth, withAdminAudit(action)]
+  // The IP limit applies before authentication, which calls Google for access tokens. Callers
+  // without a Google identity get 401 before their request is parsed or checked against the
+  // contract.
+  const asUser = (route) =>
+    [rateLimit(route, 'perIp'), withAuth, requireGoogleAuth, rateLimit(route, 'perUser')]
+
+  router.get('/me', withEnv, asUser('me'), contract('getMe'), handle(getMe))
+  router.patch('/me',
+    withEnv, asUser('me'), parseJsonBody, contract('patchMe'), handle(patchMe))
+  router.delete('/me', withEnv, asUser('me'), contract('deleteMe'), handle(deleteMe))
+  router.get('/me/export', withEnv, asUser('me'), contract('getMeExport'), handle(getMeExport))
+  router.get('/me/link-history',
+    withEnv, asUser('me'), contract('getMeLinkHistory'), handle(getMeLinkHistory))
+  router.delete('/me/nih-link',
+    withEnv, asUser('me'), contract('deleteMeNihLink'), handle(deleteNihLink))
+  // Registered after the other /me/... routes so `:key` doesn't shadow them.
+  router.put('/me/:key',
+    withEnv, asUser('me'), parseJsonBody, contract('putMeKey'), handle(putMeKey))
+  router.delete('/me/:key', withEnv, asUser('me'), contract('deleteMeKey'), handle(deleteMeKey))
+  router.post('/shibboleth-token',
+    withEnv, asUser('shibbolethToken'), contract('postShibbolethToken'),
+    handle(postShibbolethToken))
+
+  router.post('/admin/reencrypt',
+    withEnv, parseJsonBody, asAdmin('reencrypt'), contract('reencrypt'), handle(postReencrypt))
+  router.delete('/admin/users/:userId',
+    withEnv, asAdmin('erase-user'), contract('eraseUser'), handle(deleteUser))
+  router.get('/admin/users/:userId/link-history',
+    withEnv, asAdmin('get-link-history'), contract('getUserLinkHistory'),
+    handle(getUserLinkHistory))
+  router.get('/admin/nih-links',
+    withEnv, asAdmin('find-nih-links'), contract('findNihLinks'),
+    handle(getNihLinksByUsername))
+  router.get('/admin/nih-links/expiring',
+    withEnv, asAdmin('list-expiring-nih-links'), contract('listExpiringNihLinks'),
+    handle(getExpiringNihLinks))
+  router.post('/admin/users/:userId/nih-link/expire',
+    withEnv, asAdmin('expire-nih-link'), contract('expireNihLink'), handle(postExpireNihLink))
+  router.get('/cron/link-expiry',
+    withEnv, fromCron, contract('cronLinkExpiry'), handle(runLinkExpirySweep))
+  router.post('/admin/link-expiry',
+    withEnv, asAdmin('sweep-link-expiry'), contract('sweepLinkExpiry'),
+    handle(runLinkExpirySweep))
+  router.get('/cron/change-events',
+    withEnv, fromCron, contract('cronChangeEvents'), handle(runChangeEventDispatch))
+  router.post('/admin/change-events/dispatch',
+    withEnv, asAdmin('dispatch-change-events'), contract('dispatchChangeEvents'),
+    handle(runChangeEventDispatch))
+  router.post('/admin/change-events/replay',
+    withEnv, parseJsonBody, asAdmin('replay-change-events'), contract('replayChangeEvents'),
+    handle(postChangeEventReplay))
+  return router
+}
+
+// Mounts a router for each enabled environment in the config's `environments` registry, at the
+// environment's `pathPrefix`. Longer prefixes are mounted first so the unprefixed environment
+// doesn't shadow them. Replaced wholesale when the config is refreshed.
+let environmentsRouter = express.Router()
+
+function mountEnvironments(config) {
+  const router = express.Router()
+  const envNames = _.sortBy(n => -config.environments[n].pathPrefix.length)(
+    _.filter(n => config.environments[n].enabled !== false)(_.keys(config.environments)))
+  for (const envName of envNames) {
+    router.use(config.environments[envName].pathPrefix || '/', createEnvironmentRouter(envName))
+  }
+  environmentsRouter = router
+}
+
+async function postConfigRefresh(req, res) {
+  mountEnvironments(await configLoader.refresh())
+  res.sendJson({refreshedAt: (new Date()).toISOString()})
+}
 
-    const sub = req.auth.google.sub
-    const payloadUsername = payload['eraCommonsUsername']
-    const pairs = await ekvdb.getPairs(sub)
-    await ekvdb.setValue(sub, pairs, 'linkedNihUsername', payloadUsername)
-    const thirtyDaysInSeconds = 60 * 60 * 24 * 30
-    const exp = payload['iat'] + thirtyDaysInSeconds
-    await ekvdb.setValue(sub, pairs, 'linkExpireTime', exp.toString())
-    const values = _.pick(['linkedNihUsername', 'lastLinkTime', 'linkExpireTime']
-      )(ekvdb.toPlain(await ekvdb.getPairs(sub)))
-    values.lastLinkTime = parseInt(values.lastLinkTime)
-    values.lastLinkTimeHuman = (new Date(unixToJsTime(values.lastLinkTime))).toString()
-    values.linkExpireTime = parseInt(values.linkExpireTime)
-    values.linkExpireTimeHuman = (new Date(unixToJsTime(values.linkExpireTime))).toString()
-    res.sendJson(values)
-  }
-}
-
-app.post('/dev/shibboleth-token',
-  withConfig, withCrypto('dev'), withEkvdb('dev'), withAuth,
-  postShibbolethToken('dev')
-)
-app.post('/shibboleth-token',
-  withConfig, withCrypto('prod'), withEkvdb('prod'), withAuth,
-  postShibbolethToken('prod')
-)
+app.post('/admin/config/refresh',
+  requirePermission(adminPermission), contract('refreshConfig'), handle(postConfigRefresh))
+
+app.use((req, res, next) => environmentsRouter(req, res, next))
+
+app.use((req, res) => {
+  res.sendError(404, 'not_found', `no route for ${req.method} ${req.path}`)
+})
 
 // app.get('/repl', withConfig, withCrypto('dev'), withEkvdb('dev'), withAuth, async (req, res) => {
 //   if (!req.auth.google) return res.sendAuthError();
@@ -274,9 +775,31 @@ app.post('/shibboleth-token',
 //   res.sendJson(ekvdb.toPlain(pairs))
 // })
 
+// Stack traces are only sent to clients when NODE_ENV is "development".
+const exposeStacks = process.env.NODE_ENV === 'development'
+
+// Error codes for the errors express.json raises, by their `type`.
+const bodyErrorCodes = {'entity.parse.failed': 'invalid_json', 'entity.too.large': 'body_too_large'}
+
 app.use((err, req, res, next) => {
-  console.error(err)
-  res.status(500).sendJson(err)
+  // Errors from body parsing (e.g., malformed JSON) are the client's fault.
+  if (err.expose && err.status >= 400 && err.status < 500) {
+    return res.sendError(err.status, bodyErrorCodes[err.type] || 'bad_request', err.message)
+  }
+  req.log.error('unhandled error', {err})
+  if (res.headersSent) { return next(err) }
+  res.sendError(500, 'internal_error', 'internal error',
+    exposeStacks ? {detail: err.message, stack: err.stack.split('\n')} : {})
 })
 
+// Loads and validates the configuration so a bad configuration fails at startup, then mounts the
+// environments it defines.
+app.init = async () => {
+  mountEnvironments(await configLoader.get())
+}
+
+// Releases the environments' connection pools. index.js calls it at shutdown, once requests have
+// drained, and when a reloaded app replaces this one.
+app.close = () => lifecycle.close()
+
 module.exports = app
@@ -0,0 +1,49 @@
+const auditlog = require('./auditlog')
+const changeevents = require('./changeevents')
+const makeCrypto = require('./crypto')
+const encryptedkvdb = require('./encryptedkvdb')
+const linkhistory = require('./linkhistory')
+const makeStorage = require('./storage')
+const webhooks = require('./webhooks')
+
+// The objects an environment's handlers and jobs work with, built from its config. Used by the
+// request middleware and by commands run outside the server.
+
+// Each eRA Commons username may be linked to one account at a time (a dbGaP requirement). NIH
+// usernames are case-insensitive.
+const uniqueKeys = {linkedNihUsername: s => s.trim().toLowerCase()}
+
+function cryptoFromConfig(envConfig) {
+  return makeCrypto(makeCrypto.keyringFromConfig(envConfig))
+}
+
+// `storage` in the environment's config selects a backend, e.g.
+// {"type": "mysql", "host": "127.0.0.1", "port": 3306, "password": "..."} or
+// {"type": "sqlite", "filename": "profile.sqlite3"} or {"type": "memory"}. The default is the
+// environment's Cloud SQL instance.
+function storageFromConfig(envConfig) {
+  const {storage: storageConfig, cloudSqlInstance, dbPassword} = envConfig
+  return makeStorage(storageConfig ||
+    {type: 'mysql', instanceConnectionName: cloudSqlInstance, password: dbPassword})
+}
+
+module.exports = function services(
+  envConfig, crypto = cryptoFromConfig(envConfig), storage = storageFromConfig(envConfig)
+) {
+  const changeSubscribers = envConfig.changeSubscribers || []
+  return {
+    crypto,
+    storage,
+    // Calls `fn` with these services bound to one storage transaction, so their writes are
+    // committed or rolled back together (see storage.transaction).
+    transaction: (fn) => storage.transaction(tx => fn(services(envConfig, crypto, tx))),
+    ekvdb: encryptedkvdb(crypto, storage, {uniqueKeys, changeSubscribers}),
+    linkHistory: linkhistory(crypto, storage),
+    auditLog: auditlog(crypto, storage),
+    webhooks: webhooks(crypto, storage, envConfig.webhooks),
+    changeEvents: changeevents(crypto, storage, changeSubscribers)
+  }
+}
+
+module.exports.cryptoFromConfig = cryptoFromConfig
+module.exports.storageFromConfig = storageFromConfig
@@ -0,0 +1,169 @@
+const crypto = require('crypto')
+const fs = require('fs').promises
+const jwt = require('jsonwebtoken')
+const _ = require('lodash/fp')
+const jwks = require('./jwks')
+const u = require('./utils')
+
+// Validation of the JWTs the Shibboleth service issues after an eRA Commons login. Each failure
+// has a stable `code` so clients can tell them apart.
+
+class ShibbolethTokenError extends Error {
+  constructor(code, message, details = {}) {
+    super(message)
+    this.code = code
+    this.details = details
+  }
+}
+
+const defaultOpts = {
+  clockToleranceSeconds: 60,
+  maxTokenAgeSeconds: 10 * 60,
+  requiredClaims: ['iat', 'eraCommonsUsername']
+}
+
+function jwtErrorCode(e) {
+  if (e.name === 'TokenExpiredError') {
+    return e.message === 'maxAge exceeded' ? 'token_too_old' : 'token_expired'
+  }
+  if (e.name === 'NotBeforeError') { return 'token_not_yet_valid' }
+  if (/^jwt issuer invalid/.test(e.message)) { return 'invalid_issuer' }
+  if (/^jwt audience invalid/.test(e.message)) { return 'invalid_audience' }
+  if (/^iat required/.test(e.message)) { return 'missing_claim' }
+  return 'invalid_token'
+}
+
+// Verification keys come from one of these sources, chosen from the environment's config:
+// - shibboleth.keyFile: a local PEM file or JWKS document, e.g., for tests or air-gapped setups.
+// - shibboleth.jwksUrl: a JWKS document, so several keys can be valid during a rotation.
+// - publicKeyUrl: a single PEM key.
+// Keys are cached per source for shibboleth.keyCacheSeconds (see jwks.createKeyCache).
+function keySourceFromConfig(envConfig) {
+  const {keyFile, jwksUrl, keyCacheSeconds: ttlSeconds} = envConfig.shibboleth || {}
+  if (keyFile) { return {type: 'file', location: keyFile, ttlSeconds} }
+  if (jwksUrl) { return {type: 'jwks', location: jwksUrl, ttlSeconds} }
+  return {type: 'pem', location: envConfig.publicKeyUrl, ttlSeconds}
+}
+
+function parseKeyData(data) {
+  return /^\s*\{/.test(data) ? jwks.parseJwks(JSON.parse(data)) : {[jwks.wildcardKid]: data}
+}
+
+async function fetchPem(pemUrl) {
+  const url = new URL(pemUrl)
+  const res = await u.httpreq({
+    tls: url.protocol !== 'http:',
+    hostname: url.hostname,
+    port: url.port || undefined,
+    path: url.pathname + url.search
+  }).resp
+  const body = (await u.slurpStream(res)).toString()
+  if (res.statusCode !== 200) {
+    throw new Error(`failed to fetch key from ${pemUrl}: ${res.statusCode}`)
+  }
+  return {keys: {[jwks.wildcardKid]: body}}
+}
+
+async function readKeyFile(filename) {
+  return {keys: parseKeyData(await fs.readFile(filename, {encoding: 'utf8'}))}
+}
+
+const keyLoaders = {file: readKeyFile, jwks: jwks.fetchJwks, pem: fetchPem}
+const keyCaches = {}
+
+function getKeyCache(keySource) {
+  const cacheKey = JSON.stringify(keySource)
+  if (!keyCaches[cacheKey]) {
+    const {type, location, ttlSeconds} = keySource
+    keyCaches[cacheKey] = jwks.createKeyCache(
+      () => keyLoaders[type](location), _.omitBy(_.isUndefined)({ttlSeconds}))
+  }
+  return keyCaches[cacheKey]
+}
+
+// Returns the PEM key for verifying the token, chosen by the `kid` in its header.
+async function getVerificationKey(token, keySource) {
+  const decoded = jwt.decode(token, {complete: true})
+  if (!decoded) { throw new ShibbolethTokenError('invalid_token', 'token is not a valid JWT') }
+  try {
+    return await getKeyCache(keySource).getKey(decoded.header.kid)
+  } catch (e) {
+    if (/^no key found/.test(e.message)) {
+      throw new ShibbolethTokenError('unknown_key', e.message, {kid: decoded.header.kid})
+    }
+    throw e
+  }
+}
+
+// Resolves to the number of keys the source has, loading them if they aren't cached. Rejects if
+// they can't be loaded, or there are none.
+async function checkKeySource(keySource) {
+  const count = _.size(await getKeyCache(keySource).getKeys())
+  if (count === 0) { throw new Error('no verification keys found') }
+  return count
+}
+
+// Verifies the token's signature and claims and returns its payload. `opts` is the environment's
+// `shibboleth` config: issuer, audience, clockToleranceSeconds, maxTokenAgeSeconds and
+// requiredClaims. Issuer and audience are only checked when configured.
+function verifyToken(token, publicKeyPem, opts = {}) {
+  const {issuer, audience, clockToleranceSeconds, maxTokenAgeSeconds, requiredClaims} =
+    {...defaultOpts, ..._.omitBy(_.isUndefined)(opts)}
+  let payload
+  try {
+    payload = jwt.verify(token, publicKeyPem, {
+      algorithms: ['RS256'],
+      clockTolerance: clockToleranceSeconds,
+      maxAge: `${maxTokenAgeSeconds}s`,
+      ...(issuer ? {issuer} : {}),
+      ...(audience ? {audience} : {})
+    })
+  } catch (e) {
+    throw new ShibbolethTokenError(jwtErrorCode(e), e.message)
+  }
+  const missingClaims = _.filter(c => payload[c] === undefined)(requiredClaims)
+  if (missingClaims.length > 0) {
+    throw new ShibbolethTokenError('missing_claim', 'token is missing required claims',
+      {missingClaims})
+  }
+  if (!Number.isInteger(payload.iat)) {
+    throw new ShibbolethTokenError('invalid_claim', 'iat must be an integer')
+  }
+  if (payload.iat > Math.floor(Date.now() / 1000) + clockToleranceSeconds) {
+    throw new ShibbolethTokenError('token_not_yet_valid', 'token was issued in the future')
+  }
+  if (!_.isString(payload.eraCommonsUsername) || payload.eraCommonsUsername.length === 0) {
+    throw new ShibbolethTokenError('invalid_claim', 'eraCommonsUsername must be a non-empty string')
+  }
+  return payload
+}
+
+// Tokens without a `jti` are identified by their hash.
+function tokenId(token, payload) {
+  return payload.jti ?
+    `jti:${payload.jti}` : `sha256:${crypto.createHash('sha256').update(token).digest('hex')}`
+}
+
+// Records that `userId` used the token, and rejects a token that has been used before. The record
+// is kept until the token would fail validation anyway.
+async function claimToken(storage, token, payload, userId, opts = {}) {
+  const {clockToleranceSeconds, maxTokenAgeSeconds} =
+    {...defaultOpts, ..._.omitBy(_.isUndefined)(opts)}
+  const now = Math.floor(Date.now() / 1000)
+  const expiresAt = Math.max(payload.exp || 0, payload.iat + maxTokenAgeSeconds) +
+    clockToleranceSeconds
+  await storage.deleteExpiredTokenUses(now)
+  const jti = tokenId(token, payload)
+  const result = await storage.claimTokenUse({jti, userId, usedAt: now, expiresAt})
+  if (result.claimed) { return jti }
+  if (result.userId === userId) {
+    throw new ShibbolethTokenError('token_replayed', 'token has already been used')
+  }
+  throw new ShibbolethTokenError('token_used_by_another_account',
+    'token has already been used by another account')
+}
+
+module.exports = {
+  keySourceFromConfig, getVerificationKey, checkKeySource, verifyToken, claimToken, tokenId,
+  ShibbolethTokenError
+}
@@ -0,0 +1,72 @@
+// Storage adapters for encryptedkvdb and the service's other tables. Every adapter exposes the
+// same interface; KEY_VALUE_PAIR rows have the table's column names (USER_ID, KEY, IV, VALUE):
+// - getRows(userId): all rows for a user.
+// - scanRows(cursor, limit): rows ordered by user ID and key, after a {userId, key} cursor.
+// - scanRowsByKey(key, afterUserId, limit): rows for one key, ordered by user ID.
+// - insertRow(row), updateRow(userId, key, {IV, VALUE, BLIND_INDEX}, expectedValue),
+//   deleteRow(userId, key): resolve to the number of affected rows. updateRow only applies if the
+//   stored value equals expectedValue, when given. Writing a row with the same KEY and (non-null)
+//   BLIND_INDEX as another row fails with a duplicate key error (see isDuplicateKeyError).
+// - upsertRows(rows): inserts rows, replacing those with the same USER_ID and KEY. The rows may not
+//   have a BLIND_INDEX.
+// - findRowsByBlindIndex(key, blindIndex): the rows for one key with the given BLIND_INDEX.
+// - deleteRows(userId, keys): deletes several keys atomically; resolves to the number deleted.
+// - claimTokenUse({jti, userId, usedAt, expiresAt}): records the first use of a Shibboleth token
+//   ID. Resolves to {claimed: true}, or {claimed: false, userId} if it was already used.
+// - deleteExpiredTokenUses(now): forgets token uses that expired before `now` (seconds).
+// - claimLinkExpiryNotice({USER_ID, NOTICE, LINK_EXPIRE_TIME, SENT_AT}): records that the
+//   NOTICE (an event type) was sent for the user's link expiring at LINK_EXPIRE_TIME, replacing the
+//   one recorded for an earlier link. Resolves to 1, or 0 if it was already recorded for that
+//   LINK_EXPIRE_TIME (see ../linkexpiry).
+// - appendLinkEvent(event), getLinkEvents(userId): the append-only LINK_HISTORY table. Events
+//   have USER_ID, EVENT_TIME (ms since the epoch), EVENT_ID, EVENT_TYPE and DETAILS (encrypted);
+//   getLinkEvents returns them oldest first.
+// - appendAuditEvent(event): the append-only ADMIN_AUDIT_LOG table. Events have EVENT_TIME,
+//   EVENT_ID, ACTOR, ACTION, TARGET_USER_ID (if any) and DETAILS (encrypted).
+// - enqueueWebhook(delivery), getDueWebhooks(now, limit), updateWebhook(deliveryId, {ATTEMPTS,
+//   NEXT_ATTEMPT_AT, DELIVERED_AT, LAST_ERROR}): the WEBHOOK_OUTBOX table (see ../webhooks).
+//   Deliveries have the USER_ID of the user the event is about, or null.
+//   getDueWebhooks returns deliveries whose NEXT_ATTEMPT_AT (ms since the epoch) is at or before
+//   `now`, soonest first.
+// - transaction(fn): calls `fn` with storage (this interface) whose operations run in one
+//   transaction, committed if the promise `fn` returns resolves and rolled back if it rejects.
+// - getProfileVersion(userId): the number of changes made to the user's profile.
+// - appendChangeEvent(event, subscribers): appends to the CHANGE_EVENT table (USER_ID, EVENT_ID,
+//   CREATED_AT, CHANGES) under the user's next profile version, which it resolves to, and queues a
+//   delivery to each named subscriber in CHANGE_DELIVERY.
+// - getChangeEvents(userId): the user's change events, oldest first.
+// - scanChangeEvents(cursor, since, limit): events ordered by user ID and USER_SEQ, after a
+//   {userId, seq} cursor, created at or after `since`.
+// - insertChangeDelivery(delivery), getChangeDeliveries(subscriber, now, limit),
+//   updateChangeDelivery(subscriber, userId, seq, {ATTEMPTS, NEXT_ATTEMPT_AT, LAST_ERROR}),
+//   deleteChangeDelivery(subscriber, userId, seq): pending deliveries (see ../changeevents).
+//   getChangeDeliveries returns deliveries due at `now`, except those behind an earlier delivery
+//   for the same user that isn't due, with each event's EVENT_ID and CHANGES, oldest first.
+//   Failed deliveries have a null NEXT_ATTEMPT_AT and aren't returned.
+// - getRateLimitBucket(bucketKey), putRateLimitBucket({BUCKET_KEY, TOKENS, UPDATED_AT}, expected),
+//   deleteIdleRateLimitBuckets(idleSince): the RATE_LIMIT_BUCKET table (see ../ratelimit).
+//   putRateLimitBucket inserts the bucket if `expected` is undefined, and otherwise only updates it
+//   if the stored bucket still equals `expected`; it resolves to the number of rows written.
+// - deleteUserData(userId): deletes the user's KEY_VALUE_PAIR, LINK_HISTORY, LINK_EXPIRY_NOTICE,
+//   CHANGE_EVENT, CHANGE_DELIVERY and WEBHOOK_OUTBOX rows; resolves to the number deleted, by
+//   table. Run it in a transaction.
+// - appendErasureReceipt(receipt): the append-only ERASURE_RECEIPT table. Receipts have
+//   RECEIPT_ID, USER_ID, ERASED_AT (ms since the epoch), REQUESTED_BY and DELETED_ROWS (JSON).
+// - ping(): resolves if the storage can be reached, e.g., for readiness checks.
+// - close(): releases connections.
+const adapters = {
+  memory: './memory',
+  sqlite: './sqlite',
+  mysql: './mysql',
+}
+
+// `opts.type` selects the adapter; the remaining options are passed to it.
+module.exports = function(opts) {
+  const {type, ...adapterOpts} = opts
+  if (!adapters[type]) {
+    throw new Error(`unknown storage type: ${type}. Expected one of: ${Object.keys(adapters)}`)
+  }
+  return require(adapters[type])(adapterOpts)
+}
+
+module.exports.isDuplicateKeyError = require('./sql').isDuplicateKeyError
@@ -0,0 +1,367 @@
+const _ = require('lodash/fp')
+
+// Stores keyed by name, so every adapter created with the same name (e.g., one per request) sees
+// the same data for the life of the process.
+const stores = {}
+
+function createStore() {
+  return {
+    tables: {
+      rows: new Map(),
+      tokenUses: new Map(),
+      linkExpiryNotices: new Map(),
+      linkHistory: [],
+      auditLog: [],
+      outbox: new Map(),
+      profileVersions: new Map(),
+      changeEvents: new Map(),
+      changeDeliveries: new Map(),
+      rateLimitBuckets: new Map(),
+      erasureReceipts: []
+    },
+    transactionDone: Promise.resolve()
+  }
+}
+
+function copyTables(tables) {
+  return _.mapValues(t => _.isArray(t) ? [...t] : new Map(t))(tables)
+}
+
+// Restores in place, since other adapters with the same name hold the same objects.
+function restoreTables(tables, saved) {
+  for (const k of _.keys(tables)) {
+    if (_.isArray(tables[k])) {
+      tables[k].splice(0, tables[k].length, ...saved[k])
+    } else {
+      tables[k].clear()
+      for (const [id, v] of saved[k]) { tables[k].set(id, v) }
+    }
+  }
+}
+
+// In-memory storage for tests and local development. Nothing is persisted.
+module.exports = function(opts = {}) {
+
+  const {name = 'default'} = opts
+  stores[name] = stores[name] || createStore()
+  const store = stores[name]
+  const {
+    rows, tokenUses, linkExpiryNotices, linkHistory, auditLog, outbox, profileVersions,
+    changeEvents, changeDeliveries, rateLimitBuckets, erasureReceipts
+  } = store.tables
+
+  function rowId(userId, key) { return JSON.stringify([userId, key]) }
+
+  function compareRows(a, b) {
+    if (a.USER_ID !== b.USER_ID) { return a.USER_ID < b.USER_ID ? -1 : 1 }
+    if (a.KEY !== b.KEY) { return a.KEY < b.KEY ? -1 : 1 }
+    return 0
+  }
+
+  async function getRows(userId) {
+    return _.filter(r => r.USER_ID === userId)([...rows.values()])
+  }
+
+  async function scanRows(cursor, limit) {
+    const sorted = [...rows.values()].sort(compareRows)
+    const after = cursor ?
+      _.filter(r => compareRows(r, {USER_ID: cursor.userId, KEY: cursor.key}) > 0)(sorted) :
+      sorted
+    return _.take(limit)(after)
+  }
+
+  async function scanRowsByKey(key, afterUserId, limit) {
+    const matching = _.filter(r => r.KEY === key &&
+      (afterUserId === undefined || r.USER_ID > afterUserId))([...rows.values()])
+    return _.take(limit)(matching.sort(compareRows))
+  }
+
+  async function findRowsByBlindIndex(key, blindIndex) {
+    return _.filter(r => r.KEY === key && r.BLIND_INDEX === blindIndex)(
+      [...rows.values()]).sort(compareRows)
+  }
+
+  function duplicateEntryError(message) {
+    const err = new Error(`Duplicate entry for ${message}`)
+    err.code = 'ER_DUP_ENTRY'
+    return err
+  }
+
+  // Emulates the unique constraint on (KEY, BLIND_INDEX).
+  function checkBlindIndex(userId, key, blindIndex) {
+    if (!blindIndex) { return }
+    const other = _.find(r => r.KEY === key && r.BLIND_INDEX === blindIndex &&
+      r.USER_ID !== userId)([...rows.values()])
+    if (other) { throw duplicateEntryError(`${key}[key]:${blindIndex}[blindIndex]`) }
+  }
+
+  async function insertRow(row) {
+    const id = rowId(row.USER_ID, row.KEY)
+    if (rows.has(id)) { throw duplicateEntryError(`${row.USER_ID}[userId]:${row.KEY}[key]`) }
+    checkBlindIndex(row.USER_ID, row.KEY, row.BLIND_INDEX)
+    rows.set(id, {
+      ..._.pick(['USER_ID', 'KEY', 'IV', 'VALUE'])(row), BLIND_INDEX: row.BLIND_INDEX || null
+    })
+    return 1
+  }
+
+  async function updateRow(userId, key, {IV, VALUE, BLIND_INDEX = null}, expectedValue) {
+    const row = rows.get(rowId(userId, key))
+    if (!row || (expectedValue !== undefined && row.VALUE !== expectedValue)) { return 0 }
+    checkBlindIndex(userId, key, BLIND_INDEX)
+    rows.set(rowId(userId, key), {...row, IV, VALUE, BLIND_INDEX})
+    return 1
+  }
+
+  async function upsertRows(newRows) {
+    if (_.some('BLIND_INDEX')(newRows)) {
+      throw new Error('rows with a blind index can\'t be upserted')
+    }
+    for (const row of newRows) {
+      rows.set(rowId(row.USER_ID, row.KEY),
+        {..._.pick(['USER_ID', 'KEY', 'IV', 'VALUE'])(row), BLIND_INDEX: null})
+    }
+  }
+
+  async function deleteRow(userId, key) {
+    return rows.delete(rowId(userId, key)) ? 1 : 0
+  }
+
+  async function deleteRows(userId, keys) {
+    return _.filter(k => rows.delete(rowId(userId, k)))(keys).length
+  }
+
+  async function claimTokenUse({jti, userId, usedAt, expiresAt}) {
+    const existing = tokenUses.get(jti)
+    if (existing) { return {claimed: false, userId: existing.userId} }
+    tokenUses.set(jti, {userId, usedAt, expiresAt})
+    return {claimed: true}
+  }
+
+  async function deleteExpiredTokenUses(now) {
+    let deleted = 0
+    for (const [jti, use] of tokenUses) {
+      if (use.expiresAt < now) {
+        tokenUses.delete(jti)
+        deleted++
+      }
+    }
+    return deleted
+  }
+
+  async function claimLinkExpiryNotice({USER_ID, NOTICE, LINK_EXPIRE_TIME, SENT_AT}) {
+    const id = JSON.stringify([USER_ID, NOTICE])
+    const existing = linkExpiryNotices.get(id)
+    if (existing && existing.LINK_EXPIRE_TIME === LINK_EXPIRE_TIME) { return 0 }
+    linkExpiryNotices.set(id, {USER_ID, NOTICE, LINK_EXPIRE_TIME, SENT_AT})
+    return 1
+  }
+
+  async function appendLinkEvent(event) {
+    linkHistory.push(
+      _.pick(['USER_ID', 'EVENT_TIME', 'EVENT_ID', 'EVENT_TYPE', 'DETAILS'])(event))
+    return 1
+  }
+
+  async function getLinkEvents(userId) {
+    return _.sortBy(['EVENT_TIME', 'EVENT_ID'])(_.filter(e => e.USER_ID === userId)(linkHistory))
+  }
+
+  async function appendAuditEvent(event) {
+    auditLog.push(_.pick(
+      ['EVENT_TIME', 'EVENT_ID', 'ACTOR', 'ACTION', 'TARGET_USER_ID', 'DETAILS'])(event))
+    return 1
+  }
+
+  async function enqueueWebhook(delivery) {
+    outbox.set(delivery.DELIVERY_ID, {...delivery})
+    return 1
+  }
+
+  async function getDueWebhooks(now, limit) {
+    const due = _.filter(d => d.NEXT_ATTEMPT_AT !== null && d.NEXT_ATTEMPT_AT <= now)(
+      [...outbox.values()])
+    return _.take(limit)(_.sortBy(['NEXT_ATTEMPT_AT', 'CREATED_AT'])(due))
+  }
+
+  async function updateWebhook(deliveryId, {ATTEMPTS, NEXT_ATTEMPT_AT, DELIVERED_AT, LAST_ERROR}) {
+    const delivery = outbox.get(deliveryId)
+    if (!delivery) { return 0 }
+    outbox.set(deliveryId, {...delivery, ATTEMPTS, NEXT_ATTEMPT_AT, DELIVERED_AT, LAST_ERROR})
+    return 1
+  }
+
+  // Transactions run one at a time, and don't nest. A failed one is undone by restoring a copy of
+  // every table taken at its start, which also undoes anything else written meanwhile; fine for
+  // tests.
+  async function transaction(fn) {
+    const previous = store.transactionDone
+    let done
+    store.transactionDone = new Promise((resolve) => { done = resolve })
+    await previous
+    const saved = copyTables(store.tables)
+    const txAdapter = {...adapter, transaction: f => f(txAdapter)}
+    try {
+      return await fn(txAdapter)
+    } catch (e) {
+      restoreTables(store.tables, saved)
+      throw e
+    } finally {
+      done()
+    }
+  }
+
+  async function getProfileVersion(userId) {
+    return profileVersions.get(userId) || 0
+  }
+
+  function changeId(userId, seq) { return JSON.stringify([userId, seq]) }
+
+  async function appendChangeEvent(event, subscribers) {
+    const seq = (profileVersions.get(event.USER_ID) || 0) + 1
+    profileVersions.set(event.USER_ID, seq)
+    const previous = changeEvents.get(changeId(event.USER_ID, seq - 1))
+    const createdAt = Math.max(event.CREATED_AT, previous ? previous.CREATED_AT : 0)
+    changeEvents.set(changeId(event.USER_ID, seq), {
+      ..._.pick(['USER_ID', 'EVENT_ID', 'CHANGES'])(event), USER_SEQ: seq, CREATED_AT: createdAt
+    })
+    for (const subscriber of subscribers) {
+      await insertChangeDelivery(
+        {SUBSCRIBER: subscriber, USER_ID: event.USER_ID, USER_SEQ: seq, CREATED_AT: createdAt})
+    }
+    return seq
+  }
+
+  function compareChanges(a, b) {
+    if (a.USER_ID !== b.USER_ID) { return a.USER_ID < b.USER_ID ? -1 : 1 }
+    return a.USER_SEQ - b.USER_SEQ
+  }
+
+  async function getChangeEvents(userId) {
+    return _.filter(e => e.USER_ID === userId)([...changeEvents.values()]).sort(compareChanges)
+  }
+
+  async function scanChangeEvents(cursor, since, limit) {
+    const matching = _.filter(e => e.CREATED_AT >= since &&
+      (!cursor || compareChanges(e, {USER_ID: cursor.userId, USER_SEQ: cursor.seq}) > 0))(
+      [...changeEvents.values()])
+    return _.take(limit)(matching.sort(compareChanges))
+  }
+
+  function deliveryId(subscriber, userId, seq) { return JSON.stringify([subscriber, userId, seq]) }
+
+  async function insertChangeDelivery({SUBSCRIBER, USER_ID, USER_SEQ, CREATED_AT}) {
+    const id = deliveryId(SUBSCRIBER, USER_ID, USER_SEQ)
+    if (changeDeliveries.has(id)) { return 0 }
+    changeDeliveries.set(id, {
+      SUBSCRIBER, USER_ID, USER_SEQ, CREATED_AT,
+      ATTEMPTS: 0, NEXT_ATTEMPT_AT: CREATED_AT, LAST_ERROR: null
+    })
+    return 1
+  }
+
+  async function getChangeDeliveries(subscriber, now, limit) {
+    const queued = _.filter(d => d.SUBSCRIBER === subscriber && d.NEXT_ATTEMPT_AT !== null)(
+      [...changeDeliveries.values()])
+    // The earliest delivery not yet due for each user holds back the user's later ones.
+    const heldAfter = new Map()
+    for (const d of queued) {
+      if (d.NEXT_ATTEMPT_AT > now && !(heldAfter.get(d.USER_ID) < d.USER_SEQ)) {
+        heldAfter.set(d.USER_ID, d.USER_SEQ)
+      }
+    }
+    const pending = _.sortBy(['CREATED_AT', 'USER_ID', 'USER_SEQ'])(_.filter(d =>
+      d.NEXT_ATTEMPT_AT <= now && !(heldAfter.get(d.USER_ID) < d.USER_SEQ))(queued))
+    return _.map(d => {
+      const event = changeEvents.get(changeId(d.USER_ID, d.USER_SEQ))
+      return {...d, EVENT_ID: event.EVENT_ID, CHANGES: event.CHANGES}
+    })(_.take(limit)(pending))
+  }
+
+  async function updateChangeDelivery(
+    subscriber, userId, seq, {ATTEMPTS, NEXT_ATTEMPT_AT, LAST_ERROR}
+  ) {
+    const id = deliveryId(subscriber, userId, seq)
+    const delivery = changeDeliveries.get(id)
+    if (!delivery) { return 0 }
+    changeDeliveries.set(id, {...delivery, ATTEMPTS, NEXT_ATTEMPT_AT, LAST_ERROR})
+    return 1
+  }
+
+  async function deleteChangeDelivery(subscriber, userId, seq) {
+    return changeDeliveries.delete(deliveryId(subscriber, userId, seq)) ? 1 : 0
+  }
+
+  async function getRateLimitBucket(bucketKey) {
+    return rateLimitBuckets.get(bucketKey)
+  }
+
+  async function putRateLimitBucket(bucket, expected) {
+    const current = rateLimitBuckets.get(bucket.BUCKET_KEY)
+    const matches = expected ?
+      current && current.TOKENS === expected.TOKENS && current.UPDATED_AT === expected.UPDATED_AT :
+      !current
+    if (!matches) { return 0 }
+    rateLimitBuckets.set(bucket.BUCKET_KEY, _.pick(['BUCKET_KEY', 'TOKENS', 'UPDATED_AT'])(bucket))
+    return 1
+  }
+
+  async function deleteIdleRateLimitBuckets(idleSince) {
+    let count = 0
+    for (const [k, v] of rateLimitBuckets) {
+      if (v.UPDATED_AT < idleSince) {
+        rateLimitBuckets.delete(k)
+        count++
+      }
+    }
+    return count
+  }
+
+  // Deletes from a Map or list the entries for which `belongsToUser` is true, and returns how many.
+  function deleteWhere(table, belongsToUser) {
+    if (_.isArray(table)) {
+      const kept = _.reject(belongsToUser)(table)
+      const count = table.length - kept.length
+      table.splice(0, table.length, ...kept)
+      return count
+    }
+    const ids = _.filter(id => belongsToUser(table.get(id)))([...table.keys()])
+    ids.forEach(id => table.delete(id))
+    return ids.length
+  }
+
+  // Like the SQL adapters, keeps profile versions and token uses.
+  async function deleteUserData(userId) {
+    const belongsToUser = e => e.USER_ID === userId
+    return {
+      KEY_VALUE_PAIR: deleteWhere(rows, belongsToUser),
+      LINK_HISTORY: deleteWhere(linkHistory, belongsToUser),
+      LINK_EXPIRY_NOTICE: deleteWhere(linkExpiryNotices, belongsToUser),
+      CHANGE_EVENT: deleteWhere(changeEvents, belongsToUser),
+      CHANGE_DELIVERY: deleteWhere(changeDeliveries, belongsToUser),
+      WEBHOOK_OUTBOX: deleteWhere(outbox, belongsToUser)
+    }
+  }
+
+  async function appendErasureReceipt(receipt) {
+    erasureReceipts.push(_.pick(
+      ['RECEIPT_ID', 'USER_ID', 'ERASED_AT', 'REQUESTED_BY', 'DELETED_ROWS'])(receipt))
+    return 1
+  }
+
+  async function ping() {}
+
+  async function close() {}
+
+  const adapter = {
+    getRows, scanRows, scanRowsByKey, findRowsByBlindIndex, insertRow, updateRow, upsertRows,
+    deleteRow, deleteRows, claimTokenUse, deleteExpiredTokenUses, claimLinkExpiryNotice,
+    appendLinkEvent, getLinkEvents, appendAuditEvent,
+    enqueueWebhook, getDueWebhooks, updateWebhook,
+    transaction, getProfileVersion, appendChangeEvent, getChangeEvents, scanChangeEvents,
+    insertChangeDelivery, getChangeDeliveries, updateChangeDelivery, deleteChangeDelivery,
+    getRateLimitBucket, putRateLimitBucket, deleteIdleRateLimitBuckets,
+    deleteUserData, appendErasureReceipt, ping, close
+  }
+  return adapter
+}
@@ -0,0 +1,90 @@
+const mysql = require('mysql')
+const sql = require('./sql')
+
+// MySQL over TCP (`host`/`port`) or a unix socket. `instanceConnectionName` is shorthand for the
+// Cloud SQL proxy socket App Engine provides at /cloudsql/<instance connection name>. With
+// `createTables`, missing tables are created on first use; otherwise they must already exist
+// (see sql.schemaStatements).
+module.exports = function(opts) {
+
+  const {instanceConnectionName, createTables = false, ...connectionOpts} = opts
+  let cachedPool = undefined
+  let schemaReady = undefined
+
+  function getPool() {
+    if (!cachedPool) {
+      cachedPool = mysql.createPool({
+        user: 'shib-profile',
+        database: 'thurloe',
+        ...(instanceConnectionName ? {socketPath: `/cloudsql/${instanceConnectionName}`} : {}),
+        ...connectionOpts
+      })
+    }
+    return cachedPool
+  }
+
+  // `connection` is the pool or one of its connections.
+  function rawQuery(statement, params, connection = getPool()) {
+    return new Promise((resolve) => {
+      connection.query(statement, params, (err, results, fields) => {
+        resolve([err, results, fields])
+      })
+    })
+  }
+
+  async function createSchema() {
+    for (const statement of sql.schemaStatements) {
+      const [err] = await rawQuery(statement, [])
+      if (err) { throw err }
+    }
+  }
+
+  async function ensureSchema() {
+    if (createTables) {
+      schemaReady = schemaReady || createSchema().catch((e) => {
+        schemaReady = undefined
+        throw e
+      })
+      await schemaReady
+    }
+  }
+
+  async function query(statement, params) {
+    await ensureSchema()
+    return rawQuery(statement, params)
+  }
+
+  // Runs `fn` with a query function bound to one connection, inside a transaction.
+  async function runInTransaction(fn) {
+    await ensureSchema()
+    const connection = await new Promise((resolve, reject) => {
+      getPool().getConnection((err, c) => { err ? reject(err) : resolve(c) })
+    })
+    const txQuery = (statement, params) => rawQuery(statement, params, connection)
+    try {
+      const [beginErr] = await txQuery('start transaction', [])
+      if (beginErr) { throw beginErr }
+      const result = await fn(txQuery)
+      const [commitErr] = await txQuery('commit', [])
+      if (commitErr) { throw commitErr }
+      return result
+    } catch (e) {
+      await txQuery('rollback', [])
+      throw e
+    } finally {
+      connection.release()
+    }
+  }
+
+  function close() {
+    if (!cachedPool) { return Promise.resolve() }
+    const pool = cachedPool
+    cachedPool = undefined
+    schemaReady = undefined
+    return new Promise((resolve, reject) => {
+      pool.end((err) => { err ? reject(err) : resolve() })
+    })
+  }
+
+  return {...sql(query, runInTransaction, 'mysql'), close}
+}
@@ -0,0 +1,503 @@
+const _ = require('lodash/fp')
+const metrics = require('../metrics')
+
+// Row operations shared by the SQL-backed adapters. `query(sql, params)` must resolve to
+// [err, results], where results is a list of rows for selects and has `affectedRows` for writes.
+// `runInTransaction(fn)` must call `fn` with a query function whose statements all run in one
+// transaction, commit if the promise `fn` returns resolves, and roll back if it rejects.
+// `dialect` ('mysql' or 'sqlite') selects syntax where they differ, i.e., for upserts.
+// Identifiers are quoted with backticks, which both MySQL and SQLite accept. Every query's latency
+// is recorded in the profile_db_query_duration_seconds metric.
+
+// The metric labels for a statement: its verb and the first table it names.
+function queryLabels(statement) {
+  const [, operation = 'unknown'] = /^\s*(\w+)/.exec(statement) || []
+  const [, table = 'none'] = /`(\w+)`/.exec(statement) || []
+  return {operation: operation.toLowerCase(), table}
+}
+
+function timed(query) {
+  return async (statement, params) => {
+    const done = metrics.dbQueryDuration.startTimer(queryLabels(statement))
+    try {
+      return await query(statement, params)
+    } finally {
+      done()
+    }
+  }
+}
+
+module.exports = function sqlStorage(untimedQuery, runInTransaction, dialect) {
+
+  const query = timed(untimedQuery)
+
+  const qnTable = '`KEY_VALUE_PAIR`'
+  const qnUserId = '`USER_ID`'
+  const qnKey = '`KEY`'
+  const qnIv = '`IV`'
+  const qnValue = '`VALUE`'
+  const qnBlindIndex = '`BLIND_INDEX`'
+
+  async function getRows(userId) {
+    const [err, results] = await query(
+      `select * from ${qnTable} where ${qnUserId}=?`, [userId])
+    if (err) { throw err }
+    return results
+  }
+
+  async function scanRows(cursor, limit) {
+    const [err, results] = cursor ?
+      await query(
+        `select * from ${qnTable} where (${qnUserId}, ${qnKey}) > (?, ?)` +
+        ` order by ${qnUserId}, ${qnKey} limit ?`,
+        [cursor.userId, cursor.key, limit]) :
+      await query(
+        `select * from ${qnTable} order by ${qnUserId}, ${qnKey} limit ?`, [limit])
+    if (err) { throw err }
+    return results
+  }
+
+  async function scanRowsByKey(key, afterUserId, limit) {
+    const [err, results] = afterUserId !== undefined ?
+      await query(
+        `select * from ${qnTable} where ${qnKey}=? and ${qnUserId} > ?` +
+        ` order by ${qnUserId} limit ?`,
+        [key, afterUserId, limit]) :
+      await query(
+        `select * from ${qnTable} where ${qnKey}=? order by ${qnUserId} limit ?`, [key, limit])
+    if (err) { throw err }
+    return results
+  }
+
+  async function findRowsByBlindIndex(key, blindIndex) {
+    const [err, results] = await query(
+      `select * from ${qnTable} where ${qnKey}=? and ${qnBlindIndex}=? order by ${qnUserId}`,
+      [key, blindIndex])
+    if (err) { throw err }
+    return results
+  }
+
+  async function insertRow(row) {
+    const [err, results] = await query(
+      `insert into ${qnTable} (${qnUserId}, ${qnKey}, ${qnIv}, ${qnValue}, ${qnBlindIndex})` +
+      ' values (?, ?, ?, ?, ?)',
+      [row.USER_ID, row.KEY, row.IV, row.VALUE, row.BLIND_INDEX || null]
+    )
+    if (err) { throw err }
+    return results.affectedRows
+  }
+
+  async function updateRow(userId, key, {IV, VALUE, BLIND_INDEX = null}, expectedValue) {
+    const [err, results] = expectedValue === undefined ?
+      await query(
+        `update ${qnTable} set ${qnIv}=?, ${qnValue}=?, ${qnBlindIndex}=?` +
+        ` where ${qnUserId}=? and ${qnKey}=?`,
+        [IV, VALUE, BLIND_INDEX, userId, key]) :
+      await query(
+        `update ${qnTable} set ${qnIv}=?, ${qnValue}=?, ${qnBlindIndex}=?` +
+        ` where ${qnUserId}=? and ${qnKey}=? and ${qnValue}=?`,
+        [IV, VALUE, BLIND_INDEX, userId, key, expectedValue])
+    if (err) { throw err }
+    return results.affectedRows
+  }
+
+  const upsertClauses = {
+    mysql: ` on duplicate key update ${qnIv}=values(${qnIv}), ${qnValue}=values(${qnValue}),` +
+      ` ${qnBlindIndex}=values(${qnBlindIndex})`,
+    sqlite: ` on conflict (${qnUserId}, ${qnKey}) do update set ${qnIv}=excluded.${qnIv},` +
+      ` ${qnValue}=excluded.${qnValue}, ${qnBlindIndex}=excluded.${qnBlindIndex}`
+  }
+
+  // MySQL applies `on duplicate key update` to a conflict on any unique key, which for a row with a
+  // blind index could be another user's row, so those can't be upserted.
+  async function upsertRows(rows) {
+    if (rows.length === 0) { return }
+    if (_.some('BLIND_INDEX')(rows)) {
+      throw new Error('rows with a blind index can\'t be upserted')
+    }
+    const [err] = await query(
+      `insert into ${qnTable} (${qnUserId}, ${qnKey}, ${qnIv}, ${qnValue}, ${qnBlindIndex})` +
+      ` values ${rows.map(() => '(?, ?, ?, ?, null)').join(', ')}` + upsertClauses[dialect],
+      _.flatMap(row => [row.USER_ID, row.KEY, row.IV, row.VALUE])(rows))
+    if (err) { throw err }
+  }
+
+  async function deleteRow(userId, key) {
+    const [err, results] = await query(
+      `delete from ${qnTable} where ${qnUserId}=? and ${qnKey}=?`, [userId, key])
+    if (err) { throw err }
+    return results.affectedRows
+  }
+
+  async function deleteRows(userId, keys) {
+    if (keys.length === 0) { return 0 }
+    const placeholders = keys.map(() => '?').join(', ')
+    const [err, results] = await query(
+      `delete from ${qnTable} where ${qnUserId}=? and ${qnKey} in (${placeholders})`,
+      [userId, ...keys])
+    if (err) { throw err }
+    return results.affectedRows
+  }
+
+  // Records the first use of a token ID. Resolves to {claimed: true} if this is the first use, or
+  // {claimed: false, userId} with the user who already used it.
+  async function claimTokenUse({jti, userId, usedAt, expiresAt}) {
+    const [err] = await query(
+      'insert into `SHIBBOLETH_TOKEN_USE` (`JTI`, `USER_ID`, `USED_AT`, `EXPIRES_AT`)' +
+      ' values (?, ?, ?, ?)',
+      [jti, userId, usedAt, expiresAt])
+    if (!err) { return {claimed: true} }
+    if (!isDuplicateKeyError(err)) { throw err }
+    const [selectErr, results] = await query(
+      'select * from `SHIBBOLETH_TOKEN_USE` where `JTI`=?', [jti])
+    if (selectErr) { throw selectErr }
+    return {claimed: false, userId: results[0] && results[0].USER_ID}
+  }
+
+  async function deleteExpiredTokenUses(now) {
+    const [err, results] = await query(
+      'delete from `SHIBBOLETH_TOKEN_USE` where `EXPIRES_AT` < ?', [now])
+    if (err) { throw err }
+    return results.affectedRows
+  }
+
+  // Replaces a notice recorded for another LINK_EXPIRE_TIME, or inserts the first one. The update
+  // locks the row, so concurrent sweeps can't both claim the same notice.
+  async function claimLinkExpiryNotice({USER_ID, NOTICE, LINK_EXPIRE_TIME, SENT_AT}) {
+    const [updateErr, updated] = await query(
+      'update `LINK_EXPIRY_NOTICE` set `LINK_EXPIRE_TIME`=?, `SENT_AT`=?' +
+      ' where `USER_ID`=? and `NOTICE`=? and `LINK_EXPIRE_TIME`<>?',
+      [LINK_EXPIRE_TIME, SENT_AT, USER_ID, NOTICE, LINK_EXPIRE_TIME])
+    if (updateErr) { throw updateErr }
+    if (updated.affectedRows > 0) { return 1 }
+    const [err, results] = await query(
+      'insert into `LINK_EXPIRY_NOTICE` (`USER_ID`, `NOTICE`, `LINK_EXPIRE_TIME`, `SENT_AT`)' +
+      ' values (?, ?, ?, ?)', [USER_ID, NOTICE, LINK_EXPIRE_TIME, SENT_AT])
+    if (err && isDuplicateKeyError(err)) { return 0 }
+    if (err) { throw err }
+    return results.affectedRows
+  }
+
+  async function appendLinkEvent(event) {
+    const [err, results] = await query(
+      'insert into `LINK_HISTORY` (`USER_ID`, `EVENT_TIME`, `EVENT_ID`, `EVENT_TYPE`, `DETAILS`)' +
+      ' values (?, ?, ?, ?, ?)',
+      [event.USER_ID, event.EVENT_TIME, event.EVENT_ID, event.EVENT_TYPE, event.DETAILS])
+    if (err) { throw err }
+    return results.affectedRows
+  }
+
+  async function getLinkEvents(userId) {
+    const [err, results] = await query(
+      'select * from `LINK_HISTORY` where `USER_ID`=? order by `EVENT_TIME`, `EVENT_ID`',
+      [userId])
+    if (err) { throw err }
+    return results
+  }
+
+  async function appendAuditEvent(event) {
+    const [err, results] = await query(
+      'insert into `ADMIN_AUDIT_LOG`' +
+      ' (`EVENT_TIME`, `EVENT_ID`, `ACTOR`, `ACTION`, `TARGET_USER_ID`, `DETAILS`)' +
+      ' values (?, ?, ?, ?, ?, ?)',
+      [event.EVENT_TIME, event.EVENT_ID, event.ACTOR, event.ACTION, event.TARGET_USER_ID,
+        event.DETAILS])
+    if (err) { throw err }
+    return results.affectedRows
+  }
+
+  const outboxColumns = [
+    'DELIVERY_ID', 'EVENT_ID', 'EVENT_TYPE', 'USER_ID', 'ENDPOINT_URL', 'PAYLOAD', 'CREATED_AT',
+    'ATTEMPTS', 'NEXT_ATTEMPT_AT', 'DELIVERED_AT', 'LAST_ERROR'
+  ]
+
+  async function enqueueWebhook(delivery) {
+    const [err, results] = await query(
+      `insert into \`WEBHOOK_OUTBOX\` (${outboxColumns.map(c => `\`${c}\``).join(', ')})` +
+      ` values (${outboxColumns.map(() => '?').join(', ')})`,
+      outboxColumns.map(c => delivery[c]))
+    if (err) { throw err }
+    return results.affectedRows
+  }
+
+  async function getDueWebhooks(now, limit) {
+    const [err, results] = await query(
+      'select * from `WEBHOOK_OUTBOX` where `NEXT_ATTEMPT_AT` <= ?' +
+      ' order by `NEXT_ATTEMPT_AT`, `CREATED_AT` limit ?',
+      [now, limit])
+    if (err) { throw err }
+    return results
+  }
+
+  async function updateWebhook(deliveryId, {ATTEMPTS, NEXT_ATTEMPT_AT, DELIVERED_AT, LAST_ERROR}) {
+    const [err, results] = await query(
+      'update `WEBHOOK_OUTBOX` set `ATTEMPTS`=?, `NEXT_ATTEMPT_AT`=?, `DELIVERED_AT`=?,' +
+      ' `LAST_ERROR`=? where `DELIVERY_ID`=?',
+      [ATTEMPTS, NEXT_ATTEMPT_AT, DELIVERED_AT, LAST_ERROR, deliveryId])
+    if (err) { throw err }
+    return results.affectedRows
+  }
+
+  // Calls `fn` with storage whose operations all run in one transaction. Transactions don't nest;
+  // inside one, `transaction` just reuses it.
+  function transaction(fn) {
+    return runInTransaction(txQuery => fn(sqlStorage(txQuery, f => f(txQuery), dialect)))
+  }
+
+  const versionUpsertClauses = {
+    mysql: ' on duplicate key update `VERSION`=`VERSION`+1',
+    sqlite: ' on conflict (`USER_ID`) do update set `VERSION`=`VERSION`+1'
+  }
+
+  // Bumps the user's profile version, creating it at 1 on the user's first write, in one statement
+  // so concurrent first writes don't deadlock. The row stays locked until the transaction ends, so
+  // concurrent writers for the same user take turns.
+  async function incrementProfileVersion(userId) {
+    const [err] = await query(
+      'insert into `PROFILE_VERSION` (`USER_ID`, `VERSION`) values (?, 1)' +
+      versionUpsertClauses[dialect], [userId])
+    if (err) { throw err }
+    return getProfileVersion(userId)
+  }
+
+  async function getProfileVersion(userId) {
+    const [err, results] = await query(
+      'select `VERSION` from `PROFILE_VERSION` where `USER_ID`=?', [userId])
+    if (err) { throw err }
+    return results.length > 0 ? results[0].VERSION : 0
+  }
+
+  // Appends a change event for the user, numbered with the user's next profile version, and queues
+  // a delivery of it to each of `subscribers`. Should run in a transaction with the change itself.
+  // Resolves to the event's USER_SEQ.
+  async function appendChangeEvent(event, subscribers) {
+    const seq = await incrementProfileVersion(event.USER_ID)
+    const [err, results] = await query(
+      'select `CREATED_AT` from `CHANGE_EVENT` where `USER_ID`=? and `USER_SEQ`=?',
+      [event.USER_ID, seq - 1])
+    if (err) { throw err }
+    // Keeps each user's events in order by time even if clocks disagree.
+    const createdAt = Math.max(event.CREATED_AT, results.length > 0 ? results[0].CREATED_AT : 0)
+    const [insertErr] = await query(
+      'insert into `CHANGE_EVENT` (`USER_ID`, `USER_SEQ`, `EVENT_ID`, `CREATED_AT`, `CHANGES`)' +
+      ' values (?, ?, ?, ?, ?)',
+      [event.USER_ID, seq, event.EVENT_ID, createdAt, event.CHANGES])
+    if (insertErr) { throw insertErr }
+    for (const subscriber of subscribers) {
+      await insertChangeDelivery(
+        {SUBSCRIBER: subscriber, USER_ID: event.USER_ID, USER_SEQ: seq, CREATED_AT: createdAt})
+    }
+    return seq
+  }
+
+  // Returns up to `limit` events ordered by user and sequence number, after a {userId, seq}
+  // cursor, created at or after `since` (ms since the epoch).
+  async function scanChangeEvents(cursor, since, limit) {
+    const [err, results] = cursor ?
+      await query(
+        'select * from `CHANGE_EVENT`' +
+        ' where (`USER_ID`, `USER_SEQ`) > (?, ?) and `CREATED_AT` >= ?' +
+        ' order by `USER_ID`, `USER_SEQ` limit ?',
+        [cursor.userId, cursor.seq, since, limit]) :
+      await query(
+        'select * from `CHANGE_EVENT` where `CREATED_AT` >= ?' +
+        ' order by `USER_ID`, `USER_SEQ` limit ?',
+        [since, limit])
+    if (err) { throw err }
+    return results
+  }
+
+  async function getChangeEvents(userId) {
+    const [err, results] = await query(
+      'select * from `CHANGE_EVENT` where `USER_ID`=? order by `USER_SEQ`', [userId])
+    if (err) { throw err }
+    return results
+  }
+
+  // Queues a delivery, unless one of the same event to the same subscriber is already pending.
+  // Resolves to the number of deliveries queued.
+  async function insertChangeDelivery({SUBSCRIBER, USER_ID, USER_SEQ, CREATED_AT}) {
+    const [err, results] = await query(
+      'insert into `CHANGE_DELIVERY` (`SUBSCRIBER`, `USER_ID`, `USER_SEQ`, `CREATED_AT`,' +
+      ' `ATTEMPTS`, `NEXT_ATTEMPT_AT`, `LAST_ERROR`) values (?, ?, ?, ?, 0, ?, null)',
+      [SUBSCRIBER, USER_ID, USER_SEQ, CREATED_AT, CREATED_AT])
+    if (err && isDuplicateKeyError(err)) { return 0 }
+    if (err) { throw err }
+    return results.affectedRows
+  }
+
+  // Returns up to `limit` deliveries to the subscriber that are due at `now`, with their events'
+  // EVENT_ID and CHANGES, oldest first. A delivery isn't returned while an earlier one for the same
+  // user is waiting to be retried. Failed deliveries, with no NEXT_ATTEMPT_AT, aren't returned.
+  async function getChangeDeliveries(subscriber, now, limit) {
+    const [err, results] = await query(
+      'select d.*, e.`EVENT_ID`, e.`CHANGES` from `CHANGE_DELIVERY` d' +
+      ' join `CHANGE_EVENT` e on e.`USER_ID`=d.`USER_ID` and e.`USER_SEQ`=d.`USER_SEQ`' +
+      ' where d.`SUBSCRIBER`=? and d.`NEXT_ATTEMPT_AT`<=? and not exists (select 1' +
+      ' from `CHANGE_DELIVERY` w where w.`SUBSCRIBER`=d.`SUBSCRIBER` and w.`USER_ID`=d.`USER_ID`' +
+      ' and w.`USER_SEQ`<d.`USER_SEQ` and w.`NEXT_ATTEMPT_AT`>?)' +
+      ' order by d.`CREATED_AT`, d.`USER_ID`, d.`USER_SEQ` limit ?',
+      [subscriber, now, now, limit])
+    if (err) { throw err }
+    return results
+  }
+
+  async function updateChangeDelivery(
+    subscriber, userId, seq, {ATTEMPTS, NEXT_ATTEMPT_AT, LAST_ERROR}
+  ) {
+    const [err, results] = await query(
+      'update `CHANGE_DELIVERY` set `ATTEMPTS`=?, `NEXT_ATTEMPT_AT`=?, `LAST_ERROR`=?' +
+      ' where `SUBSCRIBER`=? and `USER_ID`=? and `USER_SEQ`=?',
+      [ATTEMPTS, NEXT_ATTEMPT_AT, LAST_ERROR, subscriber, userId, seq])
+    if (err) { throw err }
+    return results.affectedRows
+  }
+
+  async function deleteChangeDelivery(subscriber, userId, seq) {
+    const [err, results] = await query(
+      'delete from `CHANGE_DELIVERY` where `SUBSCRIBER`=? and `USER_ID`=? and `USER_SEQ`=?',
+      [subscriber, userId, seq])
+    if (err) { throw err }
+    return results.affectedRows
+  }
+
+  async function getRateLimitBucket(bucketKey) {
+    const [err, results] = await query(
+      'select * from `RATE_LIMIT_BUCKET` where `BUCKET_KEY`=?', [bucketKey])
+    if (err) { throw err }
+    return results[0]
+  }
+
+  async function putRateLimitBucket({BUCKET_KEY, TOKENS, UPDATED_AT}, expected) {
+    if (!expected) {
+      const [err] = await query(
+        'insert into `RATE_LIMIT_BUCKET` (`BUCKET_KEY`, `TOKENS`, `UPDATED_AT`) values (?, ?, ?)',
+        [BUCKET_KEY, TOKENS, UPDATED_AT])
+      if (err && isDuplicateKeyError(err)) { return 0 }
+      if (err) { throw err }
+      return 1
+    }
+    const [err, results] = await query(
+      'update `RATE_LIMIT_BUCKET` set `TOKENS`=?, `UPDATED_AT`=?' +
+      ' where `BUCKET_KEY`=? and `TOKENS`=? and `UPDATED_AT`=?',
+      [TOKENS, UPDATED_AT, BUCKET_KEY, expected.TOKENS, expected.UPDATED_AT])
+    if (err) { throw err }
+    return results.affectedRows
+  }
+
+  async function deleteIdleRateLimitBuckets(idleSince) {
+    const [err, results] = await query(
+      'delete from `RATE_LIMIT_BUCKET` where `UPDATED_AT` < ?', [idleSince])
+    if (err) { throw err }
+    return results.affectedRows
+  }
+
+  // Deletes the user's rows from the tables holding their data. Should run in a transaction.
+  // Resolves to the number of rows deleted, by table.
+  async function deleteUserData(userId) {
+    const deleted = {}
+    for (const table of userDataTables) {
+      const [err, results] = await query(`delete from \`${table}\` where \`USER_ID\`=?`, [userId])
+      if (err) { throw err }
+      deleted[table] = results.affectedRows
+    }
+    return deleted
+  }
+
+  async function appendErasureReceipt(receipt) {
+    const [err, results] = await query(
+      'insert into `ERASURE_RECEIPT`' +
+      ' (`RECEIPT_ID`, `USER_ID`, `ERASED_AT`, `REQUESTED_BY`, `DELETED_ROWS`)' +
+      ' values (?, ?, ?, ?, ?)',
+      [receipt.RECEIPT_ID, receipt.USER_ID, receipt.ERASED_AT, receipt.REQUESTED_BY,
+        receipt.DELETED_ROWS])
+    if (err) { throw err }
+    return results.affectedRows
+  }
+
+  async function ping() {
+    const [err] = await query('select 1', [])
+    if (err) { throw err }
+  }
+
+  return {
+    getRows, scanRows, scanRowsByKey, findRowsByBlindIndex, insertRow, updateRow, upsertRows,
+    deleteRow, deleteRows, claimTokenUse, deleteExpiredTokenUses, claimLinkExpiryNotice,
+    appendLinkEvent, getLinkEvents, appendAuditEvent,
+    enqueueWebhook, getDueWebhooks, updateWebhook,
+    transaction, getProfileVersion, appendChangeEvent, getChangeEvents, scanChangeEvents,
+    insertChangeDelivery, getChangeDeliveries, updateChangeDelivery, deleteChangeDelivery,
+    getRateLimitBucket, putRateLimitBucket, deleteIdleRateLimitBuckets,
+    deleteUserData, appendErasureReceipt, ping
+  }
+}
+
+// The tables deleteUserData clears. PROFILE_VERSION is kept so a user's versions never repeat,
+// and SHIBBOLETH_TOKEN_USE so used tokens can't be replayed; its rows expire with their tokens.
+const userDataTables = [
+  'KEY_VALUE_PAIR', 'LINK_HISTORY', 'LINK_EXPIRY_NOTICE', 'CHANGE_EVENT', 'CHANGE_DELIVERY',
+  'WEBHOOK_OUTBOX'
+]
+
+function isDuplicateKeyError(err) {
+  return err.code === 'ER_DUP_ENTRY' ||
+    (err.code === 'SQLITE_CONSTRAINT' && /UNIQUE|PRIMARY KEY/.test(err.message))
+}
+
+module.exports.isDuplicateKeyError = isDuplicateKeyError
+
+// Tables used by the service, for adapters that create them.
+module.exports.schemaStatements = [
+  'create table if not exists `KEY_VALUE_PAIR` (' +
+  '`USER_ID` varchar(255) not null, `KEY` varchar(255) not null,' +
+  ' `IV` varchar(255) not null, `VALUE` text not null, `BLIND_INDEX` varchar(64),' +
+  ' primary key (`USER_ID`, `KEY`), unique (`KEY`, `BLIND_INDEX`))',
+  'create table if not exists `SHIBBOLETH_TOKEN_USE` (' +
+  '`JTI` varchar(255) not null primary key, `USER_ID` varchar(255) not null,' +
+  ' `USED_AT` bigint not null, `EXPIRES_AT` bigint not null)',
+  'create table if not exists `LINK_HISTORY` (' +
+  '`USER_ID` varchar(255) not null, `EVENT_TIME` bigint not null,' +
+  ' `EVENT_ID` varchar(64) not null, `EVENT_TYPE` varchar(32) not null, `DETAILS` text not null,' +
+  ' primary key (`USER_ID`, `EVENT_TIME`, `EVENT_ID`))',
+  // NOTICE is the event type; LINK_EXPIRE_TIME is the expiry of the link it was last sent for.
+  'create table if not exists `LINK_EXPIRY_NOTICE` (' +
+  '`USER_ID` varchar(255) not null, `NOTICE` varchar(64) not null,' +
+  ' `LINK_EXPIRE_TIME` bigint not null, `SENT_AT` bigint not null,' +
+  ' primary key (`USER_ID`, `NOTICE`))',
+  'create table if not exists `ADMIN_AUDIT_LOG` (' +
+  '`EVENT_TIME` bigint not null, `EVENT_ID` varchar(64) not null,' +
+  ' `ACTOR` varchar(255) not null, `ACTION` varchar(64) not null,' +
+  ' `TARGET_USER_ID` varchar(255), `DETAILS` text not null,' +
+  ' primary key (`EVENT_TIME`, `EVENT_ID`))',
+  // NEXT_ATTEMPT_AT is null once a delivery has succeeded or been given up on. USER_ID is the user
+  // the event is about, if any, so erasure can remove it.
+  'create table if not exists `WEBHOOK_OUTBOX` (' +
+  '`DELIVERY_ID` varchar(64) not null primary key, `EVENT_ID` varchar(64) not null,' +
+  ' `EVENT_TYPE` varchar(64) not null, `USER_ID` varchar(255),' +
+  ' `ENDPOINT_URL` varchar(1024) not null,' +
+  ' `PAYLOAD` text not null, `CREATED_AT` bigint not null, `ATTEMPTS` int not null,' +
+  ' `NEXT_ATTEMPT_AT` bigint, `DELIVERED_AT` bigint, `LAST_ERROR` text)',
+  'create table if not exists `PROFILE_VERSION` (' +
+  '`USER_ID` varchar(255) not null primary key, `VERSION` bigint not null)',
+  // CHANGES holds the encrypted changes; USER_SEQ is the profile version after them.
+  'create table if not exists `CHANGE_EVENT` (' +
+  '`USER_ID` varchar(255) not null, `USER_SEQ` bigint not null,' +
+  ' `EVENT_ID` varchar(64) not null, `CREATED_AT` bigint not null, `CHANGES` text not null,' +
+  ' primary key (`USER_ID`, `USER_SEQ`))',
+  // Pending deliveries; a row is deleted once its event is delivered. Failed deliveries have no
+  // NEXT_ATTEMPT_AT.
+  'create table if not exists `CHANGE_DELIVERY` (' +
+  '`SUBSCRIBER` varchar(64) not null, `USER_ID` varchar(255) not null,' +
+  ' `USER_SEQ` bigint not null, `CREATED_AT` bigint not null, `ATTEMPTS` int not null,' +
+  ' `NEXT_ATTEMPT_AT` bigint, `LAST_ERROR` text,' +
+  ' primary key (`SUBSCRIBER`, `USER_ID`, `USER_SEQ`))',
+  // TOKENS is in thousandths of a token (see ../ratelimit).
+  'create table if not exists `RATE_LIMIT_BUCKET` (' +
+  '`BUCKET_KEY` varchar(64) not null primary key, `TOKENS` bigint not null,' +
+  ' `UPDATED_AT` bigint not null)',
+  // DELETED_ROWS is JSON: the number of rows erased, by table.
+  'create table if not exists `ERASURE_RECEIPT` (' +
+  '`RECEIPT_ID` varchar(64) not null primary key, `USER_ID` varchar(255) not null,' +
+  ' `ERASED_AT` bigint not null, `REQUESTED_BY` varchar(255) not null,' +
+  ' `DELETED_ROWS` text not null)',
+]
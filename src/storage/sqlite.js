@@ -0,0 +1,85 @@
+const sql = require('./sql')
+
+// SQLite storage for running the service locally. `filename` may be ':memory:'. Tables are
+// created if they don't exist. There is one connection, so transactions run one at a time and
+// other queries wait for the current transaction to finish.
+module.exports = function(opts) {
+
+  // Required lazily since sqlite3 is an optional (native) dependency.
+  const sqlite3 = require('sqlite3')
+  const {filename = 'profile.sqlite3'} = opts
+  let cachedDb = undefined
+  let transactionDone = Promise.resolve()
+
+  function run(db, statement) {
+    return new Promise((resolve, reject) => {
+      db.run(statement, (err) => { err ? reject(err) : resolve() })
+    })
+  }
+
+  async function openDb() {
+    const db = await new Promise((resolve, reject) => {
+      const db = new sqlite3.Database(filename, (err) => { err ? reject(err) : resolve(db) })
+    })
+    for (const statement of sql.schemaStatements) { await run(db, statement) }
+    return db
+  }
+
+  function getDb() {
+    if (!cachedDb) {
+      cachedDb = openDb()
+      // Tries again on the next query if the database couldn't be opened.
+      cachedDb.catch(() => { cachedDb = undefined })
+    }
+    return cachedDb
+  }
+
+  // Failing to open the database fails the query like any other error.
+  function rawQuery(sql, params) {
+    return getDb().then((db) => new Promise((resolve) => {
+      if (/^\s*select\b/i.test(sql)) {
+        db.all(sql, params, (err, rows) => { resolve([err, rows]) })
+      } else {
+        db.run(sql, params, function(err) {
+          resolve([err, err ? undefined : {affectedRows: this.changes}])
+        })
+      }
+    }), (err) => [err])
+  }
+
+  async function query(sql, params) {
+    await transactionDone
+    return rawQuery(sql, params)
+  }
+
+  async function runInTransaction(fn) {
+    const previous = transactionDone
+    let done
+    transactionDone = new Promise((resolve) => { done = resolve })
+    await previous
+    try {
+      const [beginErr] = await rawQuery('begin immediate', [])
+      if (beginErr) { throw beginErr }
+      const result = await fn(rawQuery)
+      const [commitErr] = await rawQuery('commit', [])
+      if (commitErr) { throw commitErr }
+      return result
+    } catch (e) {
+      await rawQuery('rollback', [])
+      throw e
+    } finally {
+      done()
+    }
+  }
+
+  async function close() {
+    if (!cachedDb) { return }
+    const db = await cachedDb
+    cachedDb = undefined
+    return new Promise((resolve, reject) => {
+      db.close((err) => { err ? reject(err) : resolve() })
+    })
+  }
+
+  return {...sql(query, runInTransaction, 'sqlite'), close}
+}
@@ -0,0 +1,34 @@
+// Runs the link expiry sweep (see linkexpiry.js) once for an environment and prints the report:
+//   npm run sweep-link-expiry -- <environment>
+// It uses the same configuration as the server (see config.js).
+const configLoader = require('./config')
+const linkexpiry = require('./linkexpiry')
+const services = require('./services')
+
+async function main(envName) {
+  const config = await configLoader.get()
+  const envConfig = config.environments[envName]
+  if (!envConfig || envConfig.enabled === false) {
+    throw new Error(`unknown or disabled environment: ${envName}. Expected one of:` +
+      ` ${Object.keys(config.environments)}`)
+  }
+  const envServices = services(envConfig)
+  try {
+    const report = await linkexpiry(envServices, {
+      warningSeconds: envConfig.linkExpiryWarningSeconds,
+      lookbackSeconds: envConfig.linkExpiryLookbackSeconds,
+      log: console.error
+    })
+    console.log(JSON.stringify(report, null, 2))
+    return report.failures.length === 0 && report.deliveries.failed === 0
+  } finally {
+    await envServices.storage.close()
+  }
+}
+
+main(process.argv[2] || 'dev').then((ok) => {
+  process.exitCode = ok ? 0 : 1
+}, (e) => {
+  console.error(e.message)
+  process.exitCode = 1
+})
@@ -154,8 +154,10 @@ async function getObjectData(authorization, gsUrlString) {
   }).resp
   // console.log('getObjectData.res.statusCode', res.statusCode)
   if (res.statusCode !== 200) {
+    // Not the response itself, whose request carries the Authorization header.
     const err = new Error(`object fetch failed with status ${res.statusCode}`)
-    err.res = res
+    err.statusCode = res.statusCode
+    res.resume()
     throw err
   } else {
     return (await slurpStream(res)).toString()
@@ -0,0 +1,143 @@
+const nodeCrypto = require('crypto')
+const _ = require('lodash/fp')
+const log = require('./log')
+const u = require('./utils')
+
+// Signed webhook notifications, delivered through the WEBHOOK_OUTBOX table. An event is written
+// to the outbox once per subscribed endpoint, and deliverDue posts whatever is due, retrying
+// failures with exponential backoff. Delivery is at least once; receivers should dedupe on the
+// event ID. Payloads identify users, so they are encrypted in the outbox like profile values.
+//
+// `endpoints` is the environment's `webhooks` config: [{url, secret, events}], where `events`
+// lists the event types to send (all if omitted). Each request carries these headers:
+// - X-Profile-Event-Id: the event ID.
+// - X-Profile-Signature: `t=<Unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>" with the secret>`.
+//   Receivers should check it and reject old timestamps.
+
+const maxAttempts = 8
+const baseRetrySeconds = 60
+const maxRetrySeconds = 6 * 60 * 60
+const requestTimeoutMs = 10 * 1000
+
+function sign(secret, timestamp, body) {
+  const signature = nodeCrypto.createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`, 'utf8').digest('hex')
+  return `t=${timestamp},v1=${signature}`
+}
+
+function retryDelayMs(attempts) {
+  return 1000 * Math.min(baseRetrySeconds * Math.pow(2, attempts - 1), maxRetrySeconds)
+}
+
+// Resolves to the response status code. Also used to deliver change events.
+function post(url, headers, body) {
+  const parsed = new URL(url)
+  const txn = u.httpreq({
+    tls: parsed.protocol !== 'http:',
+    hostname: parsed.hostname,
+    port: parsed.port || undefined,
+    path: parsed.pathname + parsed.search,
+    method: 'post',
+    headers: {
+      ...headers, 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body)
+    }
+  })
+  // Aborting fails the request with a "socket hang up" error.
+  txn.req.setTimeout(requestTimeoutMs, () => { txn.req.abort() })
+  txn.req.end(body)
+  return txn.resp.then((res) => {
+    res.resume()
+    return res.statusCode
+  })
+}
+
+module.exports = function(crypto, storage, endpoints = []) {
+
+  const payloadAad = (deliveryId) => ['WEBHOOK_OUTBOX', deliveryId]
+
+  // Writes the event to the outbox for each endpoint subscribed to `eventType`. Returns the event.
+  // Events about a user have their `data.userId`, so erasing the user also deletes them.
+  async function enqueue(eventType, data, now = Date.now()) {
+    const event = {
+      id: nodeCrypto.randomBytes(12).toString('hex'),
+      type: eventType,
+      createdAt: new Date(now).toISOString(),
+      data
+    }
+    const subscribed = _.filter(e => !e.events || _.includes(eventType)(e.events))(endpoints)
+    for (const endpoint of subscribed) {
+      const deliveryId = nodeCrypto.randomBytes(12).toString('hex')
+      const {storedValue} = crypto.encryptValue(payloadAad(deliveryId), JSON.stringify(event))
+      await storage.enqueueWebhook({
+        DELIVERY_ID: deliveryId,
+        EVENT_ID: event.id,
+        EVENT_TYPE: eventType,
+        USER_ID: data.userId || null,
+        ENDPOINT_URL: endpoint.url,
+        PAYLOAD: storedValue,
+        CREATED_AT: now,
+        ATTEMPTS: 0,
+        NEXT_ATTEMPT_AT: now,
+        DELIVERED_AT: null,
+        LAST_ERROR: null
+      })
+    }
+    return event
+  }
+
+  async function attempt(delivery, now) {
+    const endpoint = _.find({url: delivery.ENDPOINT_URL})(endpoints)
+    if (!endpoint) { return {giveUp: true, error: 'endpoint is no longer configured'} }
+    let body
+    try {
+      body = crypto.decryptValue(
+        payloadAad(delivery.DELIVERY_ID), undefined, delivery.PAYLOAD).value
+    } catch (e) {
+      return {giveUp: true, error: `failed to decrypt payload: ${e.message}`}
+    }
+    try {
+      const statusCode = await post(endpoint.url, {
+        'X-Profile-Event-Id': delivery.EVENT_ID,
+        'X-Profile-Signature': sign(endpoint.secret, Math.floor(now / 1000), body)
+      }, body)
+      return statusCode >= 200 && statusCode < 300 ?
+        {delivered: true} : {error: `endpoint returned status ${statusCode}`}
+    } catch (e) {
+      return {error: e.message}
+    }
+  }
+
+  // Posts up to `limit` due deliveries, oldest first. Returns {delivered, retrying, failed}:
+  // failed deliveries have used up their attempts, or can't be sent at all, and are not retried.
+  async function deliverDue({limit = 100, now = Date.now()} = {}) {
+    const report = {delivered: 0, retrying: 0, failed: 0}
+    for (const delivery of await storage.getDueWebhooks(now, limit)) {
+      const attempts = delivery.ATTEMPTS + 1
+      const result = await attempt(delivery, now)
+      if (result.delivered) {
+        report.delivered++
+        await storage.updateWebhook(delivery.DELIVERY_ID,
+          {ATTEMPTS: attempts, NEXT_ATTEMPT_AT: null, DELIVERED_AT: Date.now(), LAST_ERROR: null})
+      } else if (result.giveUp || attempts >= maxAttempts) {
+        report.failed++
+        log.error('giving up on webhook delivery', {
+          deliveryId: delivery.DELIVERY_ID, endpoint: delivery.ENDPOINT_URL, error: result.error
+        })
+        await storage.updateWebhook(delivery.DELIVERY_ID,
+          {ATTEMPTS: attempts, NEXT_ATTEMPT_AT: null, DELIVERED_AT: null, LAST_ERROR: result.error})
+      } else {
+        report.retrying++
+        await storage.updateWebhook(delivery.DELIVERY_ID, {
+          ATTEMPTS: attempts, NEXT_ATTEMPT_AT: now + retryDelayMs(attempts), DELIVERED_AT: null,
+          LAST_ERROR: result.error
+        })
+      }
+    }
+    return report
+  }
+
+  return {enqueue, deliverDue}
+}
+
+module.exports.sign = sign
+module.exports.post = post
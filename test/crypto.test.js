@@ -0,0 +1,31 @@
+const assert = require('assert')
+const nodeCrypto = require('crypto')
+const {test} = require('node:test')
+const profileCrypto = require('../src/crypto')
+
+const keyring = profileCrypto.keyringFromConfig({
+  encryptionKeyBase64: nodeCrypto.randomBytes(32).toString('base64')
+})
+const aad = {userId: 'user', key: 'firstName'}
+
+test('decrypts what it encrypted', () => {
+  const crypto = profileCrypto(keyring)
+  const {ivBase64, storedValue} = crypto.encryptValue(aad, 'Ada')
+  assert.strictEqual(crypto.decryptValue(aad, ivBase64, storedValue).value, 'Ada')
+})
+
+// A truncated tag would make forging a ciphertext much easier, and Node accepts tags as short as
+// 4 bytes unless told otherwise.
+test('rejects a truncated GCM auth tag', () => {
+  const crypto = profileCrypto(keyring)
+  const {ivBase64, storedValue} = crypto.encryptValue(aad, 'Ada')
+  const parts = storedValue.split(':')
+  parts[3] = Buffer.from(parts[3], 'base64').slice(0, 4).toString('base64')
+  assert.throws(() => crypto.decryptValue(aad, ivBase64, parts.join(':')), /malformed envelope/)
+})
+
+test('rejects a value encrypted for another key', () => {
+  const crypto = profileCrypto(keyring)
+  const {ivBase64, storedValue} = crypto.encryptValue(aad, 'Ada')
+  assert.throws(() => crypto.decryptValue({...aad, key: 'lastName'}, ivBase64, storedValue))
+})
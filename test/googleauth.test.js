@@ -0,0 +1,33 @@
+const assert = require('assert')
+const {test, before, after} = require('node:test')
+const googleauth = require('../src/googleauth')
+const {audience, idToken, serveJwks} = require('./helpers')
+
+let jwksServer, jwksUrl
+
+before(async () => {
+  jwksServer = await serveJwks()
+  jwksUrl = `http://127.0.0.1:${jwksServer.address().port}/`
+})
+
+after(() => jwksServer.close())
+
+test('accepts an ID token issued to a configured audience', async () => {
+  const claims =
+    await googleauth.verifyBearerToken(idToken('user'), {jwksUrl, audiences: [audience]})
+  assert.strictEqual(claims.sub, 'user')
+})
+
+test('refuses an ID token issued to another audience', async () => {
+  await assert.rejects(
+    googleauth.verifyBearerToken(idToken('user'), {jwksUrl, audiences: ['other-client']}),
+    googleauth.AuthError)
+})
+
+// Without configured audiences, an ID token from any OAuth client would be accepted.
+for (const audiences of [undefined, []]) {
+  test(`refuses ID tokens when audiences is ${JSON.stringify(audiences)}`, async () => {
+    await assert.rejects(googleauth.verifyBearerToken(idToken('user'), {jwksUrl, audiences}),
+      (e) => e instanceof googleauth.AuthError && /no audiences are configured/.test(e.message))
+  })
+}
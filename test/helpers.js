@@ -0,0 +1,109 @@
+const crypto = require('crypto')
+const fs = require('fs')
+const http = require('http')
+const jwt = require('jsonwebtoken')
+const os = require('os')
+const path = require('path')
+const {PassThrough} = require('stream')
+const u = require('../src/utils')
+
+// Runs the service against memory storage, with Google ID tokens signed by a local key served from
+// a local JWKS endpoint. The config comes from PROFILE_CONFIG__ variables, so start at most one
+// server per test file (node --test runs each file in its own process).
+
+const googleKey = crypto.generateKeyPairSync('rsa', {modulusLength: 2048})
+const googleKeyId = 'test-key'
+const audience = 'test-client'
+
+function serveJwks() {
+  const jwk = {...googleKey.publicKey.export({format: 'jwk'}), kid: googleKeyId}
+  const server = http.createServer((req, res) => res.end(JSON.stringify({keys: [jwk]})))
+  return new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve(server)))
+}
+
+function idToken(sub) {
+  return jwt.sign({sub, email: `${sub}@example.org`, email_verified: true},
+    googleKey.privateKey.export({type: 'pkcs8', format: 'pem'}), {
+      algorithm: 'RS256', keyid: googleKeyId, issuer: 'https://accounts.google.com', audience,
+      expiresIn: 3600
+    })
+}
+
+// Answers Cloud Resource Manager permission checks with `iam.status`, granting the permissions
+// asked for when it's 200.
+const iam = {status: 200}
+const httpreq = u.httpreq
+u.httpreq = (opts) => {
+  if (opts.hostname !== 'cloudresourcemanager.googleapis.com') { return httpreq(opts) }
+  const res = new PassThrough()
+  res.statusCode = iam.status
+  let body = ''
+  const txn = {res, resp: Promise.resolve(res)}
+  txn.req = {
+    write: (chunk) => { body += chunk },
+    end: () => res.end(iam.status === 200 ? body : '{}')
+  }
+  return txn
+}
+
+async function startServer() {
+  const jwksServer = await serveJwks()
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'profile-test-'))
+  const shibbolethKeyFile = path.join(dir, 'shibboleth.pem')
+  fs.writeFileSync(shibbolethKeyFile, crypto.generateKeyPairSync('rsa', {modulusLength: 2048})
+    .publicKey.export({type: 'spki', format: 'pem'}))
+  const key = crypto.randomBytes(32).toString('base64')
+  Object.assign(process.env, {
+    PROFILE_CONFIG__configGcsUrl: '',
+    PROFILE_CONFIG__googleCloudProject: 'test-project',
+    PROFILE_CONFIG__googleAuth__audiences: JSON.stringify([audience]),
+    PROFILE_CONFIG__googleAuth__jwksUrl: `http://127.0.0.1:${jwksServer.address().port}/`
+  })
+  for (const envName of ['dev', 'prod']) {
+    Object.assign(process.env, {
+      [`PROFILE_CONFIG__${envName}__storage__type`]: 'memory',
+      [`PROFILE_CONFIG__${envName}__encryptionKeyBase64`]: key,
+      [`PROFILE_CONFIG__${envName}__blindIndexKeyBase64`]: key,
+      [`PROFILE_CONFIG__${envName}__shibboleth__keyFile`]: shibbolethKeyFile
+    })
+  }
+  const app = require('../src/server')
+  await app.init()
+  const server = await new Promise((resolve) => {
+    const server = http.createServer(app).listen(0, '127.0.0.1', () => resolve(server))
+  })
+
+  // Resolves to {status, headers, body}, with the body parsed if it's JSON.
+  function request(method, requestPath, {token, body, headers = {}} = {}) {
+    return new Promise((resolve, reject) => {
+      const req = http.request({
+        host: '127.0.0.1', port: server.address().port, method, path: requestPath,
+        headers: {
+          ...(token ? {authorization: `Bearer ${token}`} : {}),
+          ...(body === undefined ? {} : {'content-type': 'application/json'}),
+          ...headers
+        }
+      }, (res) => {
+        let data = ''
+        res.on('data', (chunk) => { data += chunk })
+        res.on('end', () => {
+          let parsed = data
+          try { parsed = JSON.parse(data) } catch (e) { /* not JSON */ }
+          resolve({status: res.statusCode, headers: res.headers, body: parsed})
+        })
+      })
+      req.on('error', reject)
+      req.end(body === undefined ? undefined : JSON.stringify(body))
+    })
+  }
+
+  function close() {
+    server.close()
+    jwksServer.close()
+    fs.rmSync(dir, {recursive: true, force: true})
+  }
+
+  return {request, close}
+}
+
+module.exports = {audience, idToken, serveJwks, iam, startServer}
@@ -0,0 +1,55 @@
+const assert = require('assert')
+const {test, before, after, afterEach} = require('node:test')
+const {iam, idToken, startServer} = require('./helpers')
+
+let server
+
+before(async () => { server = await startServer() })
+
+after(() => server.close())
+
+afterEach(() => { iam.status = 200 })
+
+test('writes to /me only apply if If-Match names the current version', async () => {
+  const token = idToken('etag-user')
+  const first = await server.request('PATCH', '/dev/me', {token, body: {firstName: 'Ada'}})
+  assert.strictEqual(first.status, 200)
+  const etag = first.headers.etag
+  assert.match(etag, /^"\d+"$/)
+
+  const second = await server.request('PATCH', '/dev/me',
+    {token, body: {firstName: 'Grace'}, headers: {'if-match': etag}})
+  assert.strictEqual(second.status, 200)
+  assert.notStrictEqual(second.headers.etag, etag)
+
+  const stale = await server.request('PATCH', '/dev/me',
+    {token, body: {firstName: 'Alan'}, headers: {'if-match': etag}})
+  assert.strictEqual(stale.status, 412)
+  assert.strictEqual(stale.body.error.code, 'precondition_failed')
+  assert.strictEqual(stale.headers.etag, second.headers.etag)
+
+  const me = await server.request('GET', '/dev/me', {token})
+  assert.strictEqual(me.headers.etag, second.headers.etag)
+  assert.strictEqual(me.body.firstName, 'Grace')
+})
+
+// IAM's own refusals are passed on, rather than failing the request with a 500.
+for (const [status, code] of [[401, 'invalid_token'], [403, 'permission_denied']]) {
+  test(`IAM ${status} refuses admin requests with ${code}`, async () => {
+    iam.status = status
+    const res = await server.request('GET', '/metrics', {token: idToken('admin')})
+    assert.strictEqual(res.status, status)
+    assert.strictEqual(res.body.error.code, code)
+  })
+}
+
+test('admin requests are allowed if IAM grants the permission', async () => {
+  const res = await server.request('GET', '/metrics', {token: idToken('admin')})
+  assert.strictEqual(res.status, 200)
+})
+
+test('admin requests need an Authorization header', async () => {
+  const res = await server.request('GET', '/metrics')
+  assert.strictEqual(res.status, 401)
+  assert.strictEqual(res.body.error.code, 'missing_authorization')
+})
@@ -0,0 +1,26 @@
+const assert = require('assert')
+const {test} = require('node:test')
+const shibboleth = require('../src/shibboleth')
+const storage = require('../src/storage')
+
+const token = 'header.payload.signature'
+const payload = {eraCommonsUsername: 'NIHUSER', iat: Math.floor(Date.now() / 1000)}
+
+function rejectsWith(code) {
+  return (e) => e instanceof shibboleth.ShibbolethTokenError && e.code === code
+}
+
+test('a token can only be claimed once', async () => {
+  const db = storage({type: 'memory'})
+  await shibboleth.claimToken(db, token, payload, 'user-a')
+  await assert.rejects(shibboleth.claimToken(db, token, payload, 'user-a'),
+    rejectsWith('token_replayed'))
+  await assert.rejects(shibboleth.claimToken(db, token, payload, 'user-b'),
+    rejectsWith('token_used_by_another_account'))
+})
+
+test('tokens with different IDs are claimed separately', async () => {
+  const db = storage({type: 'memory'})
+  await shibboleth.claimToken(db, token, {...payload, jti: 'a'}, 'user-a')
+  await shibboleth.claimToken(db, token, {...payload, jti: 'b'}, 'user-a')
+})
@@ -0,0 +1,24 @@
+const assert = require('assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const {test} = require('node:test')
+
+let sqlite3Available = true
+try { require('sqlite3') } catch (e) { sqlite3Available = false }
+
+// sqlite3 is an optional dependency.
+test('a database that fails to open is opened again on the next query',
+  {skip: !sqlite3Available && 'sqlite3 is not installed'}, async () => {
+    const storage = require('../../src/storage')
+    const dir = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'profile-test-')), 'missing')
+    const db = storage({type: 'sqlite', filename: path.join(dir, 'profile.sqlite3')})
+    try {
+      await assert.rejects(db.getRows('user'))
+      fs.mkdirSync(dir)
+      assert.deepStrictEqual(await db.getRows('user'), [])
+    } finally {
+      fs.rmSync(path.dirname(dir), {recursive: true, force: true})
+    }
+    await db.close()
+  })